@@ -0,0 +1,149 @@
+/**
+ * A small local stand-in for the ATN API v4, serving recorded JSON data and
+ * sample XPIs from the fixtures folder. It implements the search, details and
+ * versions endpoints (including pagination) used by get_addon_data.js, and the
+ * extension-finder data used by build_reports.js.
+ *
+ * Usage:
+ *   node atn_fixture_server.js [port] [page_size]
+ *
+ * Then run the collector and the report builder against it:
+ *   ATN_API_URL=http://127.0.0.1:8080/api/v4 node get_addon_data.js
+ *   EXTENSION_FINDER_URL=http://127.0.0.1:8080/extension-finder/data.yaml \
+ *     REPORT_DIR=reports node build_reports.js
+ */
+
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+
+const defaultFixturesDir = path.join(__dirname, "fixtures", "atn");
+// Use a small default page size, so the fixtures span multiple search pages.
+const defaultPageSize = 2;
+
+// All URLs in the fixtures are relative to this placeholder, which is replaced
+// by the actual address of the server.
+const BASE_URL_PLACEHOLDER = "__BASE_URL__";
+
+function loadFixtures(fixturesDir, baseURL) {
+    const readJSON = file => JSON.parse(
+        fs.readFileSync(path.join(fixturesDir, file), "utf8").split(BASE_URL_PLACEHOLDER).join(baseURL)
+    );
+
+    let addons = readJSON("search.json");
+    let versions = {};
+    for (let addon of addons) {
+        let file = `versions/${addon.id}.json`;
+        versions[addon.id] = fs.existsSync(path.join(fixturesDir, file))
+            ? readJSON(file)
+            : [];
+    }
+    return { addons, versions };
+}
+
+// Return a page of results in the format used by the ATN API.
+function paginate(items, url, defaultSize) {
+    let page = parseInt(url.searchParams.get("page") || "1", 10);
+    let page_size = parseInt(url.searchParams.get("page_size") || `${defaultSize}`, 10);
+    if (!(page > 0) || !(page_size > 0)) {
+        return null;
+    }
+
+    let start = (page - 1) * page_size;
+    if (start > 0 && start >= items.length) {
+        return null;
+    }
+
+    const pageURL = p => {
+        let u = new URL(url);
+        u.searchParams.set("page", p);
+        return u.href;
+    }
+    return {
+        count: items.length,
+        next: start + page_size < items.length ? pageURL(page + 1) : null,
+        previous: page > 1 ? pageURL(page - 1) : null,
+        results: items.slice(start, start + page_size),
+    };
+}
+
+function findAddon(addons, identifier) {
+    return addons.find(a => `${a.id}` == identifier || a.guid == identifier || a.slug == identifier);
+}
+
+function handleRequest(fixturesDir, pageSize, req, res) {
+    const sendJSON = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+    }
+    const notFound = () => sendJSON(404, { detail: "Not found." });
+
+    let baseURL = `http://${req.headers.host}`;
+    let url = new URL(req.url, baseURL);
+    let { addons, versions } = loadFixtures(fixturesDir, baseURL);
+    let match;
+
+    if (url.pathname == "/api/v4/addons/search/") {
+        // Like ATN, only sorting by creation date is stable across pages.
+        let sorted = [...addons].sort((a, b) => new Date(a.created) - new Date(b.created));
+        let page = paginate(sorted, url, pageSize);
+        return page ? sendJSON(200, page) : notFound();
+    }
+
+    if (match = url.pathname.match(/^\/api\/v4\/addons\/addon\/([^/]+)\/versions\/?$/)) {
+        let addon = findAddon(addons, decodeURIComponent(match[1]));
+        let page = addon && paginate(versions[addon.id], url, pageSize);
+        return page ? sendJSON(200, page) : notFound();
+    }
+
+    if (match = url.pathname.match(/^\/api\/v4\/addons\/addon\/([^/]+)\/?$/)) {
+        let addon = findAddon(addons, decodeURIComponent(match[1]));
+        return addon ? sendJSON(200, addon) : notFound();
+    }
+
+    if (match = url.pathname.match(/^\/xpi\/([\w.-]+\.xpi)$/)) {
+        let file = path.join(fixturesDir, "xpi", match[1]);
+        if (!fs.existsSync(file)) {
+            return notFound();
+        }
+        res.writeHead(200, { "Content-Type": "application/x-xpinstall" });
+        return res.end(fs.readFileSync(file));
+    }
+
+    if (url.pathname == "/extension-finder/data.yaml") {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        return res.end(fs.readFileSync(path.join(fixturesDir, "extension-finder.yaml")));
+    }
+
+    notFound();
+}
+
+// Start the server and resolve with the http.Server once it is listening. Use
+// port 0 to let the OS pick a free port, which can be read from server.address().
+function startServer({ port = 8080, fixturesDir = defaultFixturesDir, pageSize = defaultPageSize } = {}) {
+    let server = http.createServer((req, res) => {
+        try {
+            handleRequest(fixturesDir, pageSize, req, res);
+        } catch (err) {
+            console.error("Error in atn_fixture_server", req.url, err);
+            res.writeHead(500);
+            res.end();
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => resolve(server));
+    });
+}
+
+module.exports = {
+    startServer,
+};
+
+if (require.main === module) {
+    let port = parseInt(process.argv[2] || "8080", 10);
+    let pageSize = parseInt(process.argv[3] || `${defaultPageSize}`, 10);
+    startServer({ port, pageSize }).then(server => {
+        console.log(`ATN fixture server listening on http://127.0.0.1:${server.address().port}/api/v4`);
+    });
+}
@@ -3,332 +3,318 @@
  * https://github.com/cleidigh/ThunderKdB/blob/master/scripts/genExtensionList.js
  */
 
-// Debug logging (0 - errors and basic logs only, 1 - verbose debug)
-const debugLevel = 0;
-
 const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SUPPORTED_ESR, getESR, getESRName } = require('./lib/esr.js');
+const { loadCuratedData } = require('./lib/curated.js');
+const { summarizeSnapshots, readSnapshot } = require('./lib/snapshots.js');
+const { renderLineChart } = require('./lib/chart.js');
+const { getCheck } = require('./lib/experiment_scanner.js');
+const { loadRules, predict } = require('./lib/predictions.js');
+const { PROBLEM_CLASSES } = require('./lib/manifest_validator.js');
+const { getThunderbirdTarget } = require('./lib/install_rdf.js');
+const { isSameLanguage } = require('./lib/locales.js');
+const { analyzePermissions, getHostScope } = require('./lib/permissions.js');
+const { writeReportData } = require('./lib/export.js');
+const { createRenderer } = require('./lib/template.js');
+const { escapeHTML } = require('./lib/html.js');
+const { createBadgeRegistry } = require('./lib/badges.js');
 
 // replacement for deprecated request
 const bent = require('bent');
 const bentGetTEXT = bent('GET', 'string', 200);
 
-const rootDir = "data";
-const reportDir = "../add-on-reports";
-const extsAllJsonFileName = `${rootDir}/xall.json`;
+const usage = `Usage: node build_reports.js [options]
+
+Options:
+  --report <name,...>       Only build the given reports.
+  --group <id,...>          Only build the reports of the given groups.
+  --input <file>            The master JSON file created by get_addon_data.js
+                            (default: data/xall.json).
+  --output <dir>            Directory for the generated reports (default:
+                            $REPORT_DIR or ../add-on-reports).
+  --alternatives <file|url> The extension-finder data file (default:
+                            $EXTENSION_FINDER_URL or the file on GitHub).
+  --curated <file>          The curated compatibility data (default:
+                            config/curated-addons.json).
+  --allow-unknown-curated   Only warn about curated add-ons, which are not in
+                            the master JSON file, and about curated status of
+                            ESR, which are not configured (default: fail).
+  --rules <file>            The rules for the compatibility prediction (default:
+                            config/prediction-rules.json).
+  --diff-base <file>        An older master JSON file or snapshot, to build the
+                            diff report against the current master JSON file.
+  --snapshots <dir>         The snapshots archived by get_addon_data.js, used by
+                            the trends report (default: snapshots folder next
+                            to the master JSON file).
+  --list                    List all available reports and exit.
+  -v, --verbose             Enable verbose debug logging.
+  -h, --help                Show this help.
+
+The index page is only updated, if all reports are built.
+`;
+
+function parseCommandLine() {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                "report": { type: "string" },
+                "group": { type: "string" },
+                "input": { type: "string", default: "data/xall.json" },
+                "output": { type: "string", default: process.env.REPORT_DIR || "../add-on-reports" },
+                // The extension-finder data can be served by atn_fixture_server.js for tests.
+                "alternatives": {
+                    type: "string",
+                    default: process.env.EXTENSION_FINDER_URL ||
+                        "https://raw.githubusercontent.com/thundernest/extension-finder/master/data.yaml"
+                },
+                "curated": { type: "string", default: path.join(__dirname, "config", "curated-addons.json") },
+                "allow-unknown-curated": { type: "boolean", default: false },
+                "rules": { type: "string", default: path.join(__dirname, "config", "prediction-rules.json") },
+                "snapshots": { type: "string" },
+                "diff-base": { type: "string" },
+                "list": { type: "boolean", default: false },
+                "verbose": { type: "boolean", short: "v", default: false },
+                "help": { type: "boolean", short: "h", default: false },
+            },
+        }));
+    } catch (err) {
+        exitWithUsage(err.message);
+    }
 
-const SUPPORTED_ESR = [60, 68, 78, 91, 102, 115];
+    if (values.help) {
+        console.log(usage);
+        process.exit(0);
+    }
 
-const badge_definitions = {
-    "permission": { bLeftText: 'p', bColor: 'orange', bTooltip: "Requested Permission" },
-    "alternative_available": { bRightText: 'Alternative Available', bLeftText: '*', bColor: 'darkgreen' },
-    "discontinued": { bRightText: 'Discontinued', bLeftText: '⠀', bColor: 'D3D3D3' },
-    "contacted": { bRightText: 'Waiting for Feedback', bLeftText: '⠀', bColor: 'ff8800' },
-    "theme_experiment": { bRightText: 'Theme Experiment', bLeftText: '⠀', bColor: 'blue' },
-    "pure": { bRightText: 'Pure WebExtension', bLeftText: '⠀', bColor: '570861' },
-    "no_limit_experiment": { bRightText: 'Limitless Experiment', bLeftText: '⠀', bColor: 'ff8800' },
-    "experiment": { bRightText: 'Experiment (legacy)', bLeftText: '⠀', bColor: 'ff8800' },
-
-    "incompatible_91": { bRightText: 'Incompatible', bLeftText: 'TB91', bColor: 'c90016' },
-
-    "probably_compatible_102": { bRightText: 'Probably Compatible', bLeftText: 'TB102', bColor: 'darkgreen' },
-    "incompatible_102": { bRightText: 'Incompatible', bLeftText: 'TB102', bColor: 'c90016' },
-    "compatible_102": { bRightText: 'Compatible', bLeftText: 'TB102', bColor: 'darkgreen' },
-
-    "incompatible_115": { bRightText: 'Incompatible', bLeftText: 'TB115', bColor: 'c90016' },
-    "unknown_115": { bRightText: 'Compatibility Unknown', bLeftText: 'TB115', bColor: 'c90016' },
-    "column_115": { bRightText: 'Needs Column Support', bLeftText: 'TB115', bColor: 'darkred' },
-    "wip_115": { bRightText: 'Work in Progress', bLeftText: 'TB115', bColor: 'yellow' },
+    const toList = value => value === undefined
+        ? null
+        : value.split(",").map(e => e.trim()).filter(Boolean);
+
+    return {
+        reports: toList(values.report),
+        groups: toList(values.group),
+        input: values.input,
+        output: values.output,
+        alternatives: values.alternatives,
+        curated: values.curated,
+        allowUnknownCurated: values["allow-unknown-curated"],
+        rules: values.rules,
+        snapshots: values.snapshots || path.join(path.dirname(values.input), "snapshots"),
+        diffBase: values["diff-base"] || null,
+        list: values.list,
+        verbose: values.verbose,
+    };
 }
 
-// 102
-const knownWorking102 = [
-    "987839", //addon/findnow/ - move init code into startup code
-    "10052",  //addon/filtaquilla/
-    "988234", //addon/tbhints/
-    "4454",   //addon/priority-switcher/
-    "49594",  //addon/subswitch/
-    "161820", //addon/alertswitch/
-    "708783", //addon/emojiaddin/ - PR https://github.com/mganss/EmojiAddIn/pull/53
-    "116388", //addon/automatic-dictionary-switching/ - content_frame id and multiple spell - https://github.com/beltrachi/automatic_dictionary/issues/56#issuecomment-1162817647
-    "1203",   //addon/correct-identity/
-    "988115", //addon/clippings-tb/ - content-frame
-    "310",    //addon/bidi-mail-ui/ - https://github.com/eyalroz/bidimailui/pull/58/files
-    "2610",   //addon/mailbox-alert/ - onItemAdded - onMessageadded and does not remove folderListener
-    "988228", //addon/cb_thunderlink/ - can be turned into a pure WebExt - unavailable for a few weeks
-    "161710", //addon/more-snooze/
-    "287743", //addon/mailhops/
-    "987740", //addon/nostalgy_ng/ - https://github.com/opto/nostalgy-xpi/issues/174#issuecomment-1165895633
-    "987888", //addon/msghdr-toolbar-customize/ - lots of changes in the header area
-    "986643", //addon/filelink-provider-for-webdav/
-    "986686", //addon/importexporttools-ng/
-    "372603", //addon/enhanced-priority-display/
-    "987749", //addon/marked-lightning/
-    "988303", //addon/tud-cert-phishing-report/ - getURLSpecFromFile 
-    "1392",   //addon/maximize-message-pane/
-    "811161", //addon/warnattachment/
-    "2299",   //addon/threadkey/ - replace getElementsByClassName("tabmail-tab") by win.document.getElementById("tabmail").currentTabInfo
-    "986523", //addon/hide-email-folders/ - could fix a bug for feeds and news
-    "46207",  //addon/mailmindr/
-    "64758",  //addon/xnotepp/ - PR https://github.com/xnotepp/xnote/pull/95
-    "988188", //addon/morelayouts/
-    "324497", //addon/smarttemplate4/
-    "559954", //addon/tidybird/ - folderUtils.jsm
-    "987906", //addon/full-address-column/
-    "987840", //addon/printingtools-ng/
-    "217293", //addon/signal-spam/
-    "986685", //addon/phoenity-icons/
-    "4654",   //addon/removedupes
-    "386321", //addon/Lightning calendar tabs
-    "4970",   //addon/tag-toolbar/
-    "56935",  //addon/identity-chooser/
-    "12018",  //addon/quick-folder-move
-    "742199", //addon/attach-from-clipboard/
-    "987908", //addon/deepl-selected-text/
-    "987727", //addon/monterail-full-dark-2/
-    "987995", //addon/hide-local-folders-for-tb78/
-    "2874",   //addon/folder-account/
-    "11727",  //addon/refwdformatter/
-    "987726", //addon/monterail-dark-2-0-for-tb-68/
-    "640",    //addon/quicktext
-    "331666", //addon/quickarchiver/
-    "360086", //addon/toggle-headers/
-    "987914", //addon/filter-on-folder-button/
-    "987865", //addon/previous-colors/
-    "10149",  //addon/new-tab-button/
-    "988056", //addon/get-all-mail-button-for-tb78/
-    "988098", //addon/thunderbird-todoist/
-    "988057", //addon/keeprunning/
-    "987925", //addon/eml-editor/
-    "987838", //addon/sender-domain/
-    "986610", //addon/userchromejs-2/
-    "987901", //addon/transfer-immunity/
-    "12802",  //addon/phoenity-buttons/
-    "987911", //addon/spam-scores/
-    "987757", //addon/taskviewstyles
-    "987868", //addon/next-unread-group/
-    "987863", //addon/eventview/
-    "987869", //addon/next-unread-thread/
-    "988106", //addon/toggle-address-box/ - Fixed probably soon
-    "987988", //addon/toggle-inline/
-    "987986", //addon/select-prev-on-delete/
-    "987665", //addon/lefttodaysubpaneorlogoorclock/
-    "987945", //addon/treechildrenheight50/
-    "987989", //addon/toggle-summary/
-    "988086", //addon/confirmconversionsatselecting/
-    "1279",   //addon/xpunge/
-    "987821", //openattachmentbyextension/
-    "986522", //addon/popmaillistrecipients-2/
-    "546538", //addon/single-domain/
-    "987860", //addon/empty-folder/
-    "987892", //addon/quotecolors/
-    "330066", //addon/edit-email-subject/
-
-    "704523", //addon/europeanmx/
-    "988024", //addon/open-in-browser
-    "988038", //addon/archive-old-messages/
-
-    "1556",   //addon/allow-html-temp/
-    "902",    //addon/getsendbutton/
-    "987885", //addon/tbkeys-lite/
-    "986692", //addon/profile-switcher/
-    "987775", //addon/search-button/
-    "987764", //addon/header-tools-improved/
-
-    "988138", //addon/grammar-and-spell-checker/
-    "987934", //addon/simple-mail-redirection/
-    "11646",  //addon/no-message-pane-sort-by-mouse/
-    "2561",   //addon/copy-sent-to-current/
-    "987779", //addon/browseintab/
-    "3492",   //addon/show-inout/
-    "987933", //addon/toggle-line-wrap/
-    "987796", //addon/messagepreview/
-    "987979", //addon/attachmentcount/
-    "988195", //addon/filter-manager/
-    "987902", //addon/deselect-on-delete-tb78/
-    "987987", //addon/toggle-html/
-    "987857", //addon/preferences-button/
-    "987786", //addon/devtools-button/
-    "534258", //addon/received/
-    "987664", //addon/copy-patch/
-    "987976", //addon/findtasksbutton/
-    "988260", //addon/x-original-to-column/
-    "987844", //addon/insertsignature/
-    "2533",   //addon/addressbooks-synchronizer/
-    "676875", //addon/rspamd-spamness/
-    "47144",  //addon/mail-merge/
-    "988108", //addon/openpgp-alias-updater/
-    "988289", //addon/keepassxc-mail/
-    "988281", //addon/regimail/
-];
-const knownBroken102 = [
-];
-// Works after lifting strict_max_version
-const probably_compatible_102 = [
-    // 91.*
-    "988169", //addon/wikipediasearchwebapp/
-    "988170", //addon/skypewebapp/
-    "988168", //addon/onedrivewebapp/
-    "988123", //addon/hera-hotel-reservation/
-    "988166", //addon/googlesearchwebapp/
-    "988171", //addon/msofficewebapp/
-    "988167", //addon/todowebapp/
-    "987916", //addon/telegramwebapp/
-    // 102.0
-    "988173", //addon/thunderkey/
-    "988196", //addon/message-filters-button-u/
-    // 102+ (pure WebExt)
-    "988060", //addon/text-insert-text-blocks/
-    "987860", //addon/empty-folder/
-    "988255",
-    "988365",
-    "988338",
-    "988094",
-    "987916",
-    "988167",
-    "988258",
-    "988171",
-    "988126",
-    "988166",
-    "988168",
-    "988389",
-    "988427",
-    "988170",
-    "988431",
-    "988428",
-    "988023",
-    "988451",
-    "988169",
-]
-
-// 115
-const incompatible115 = [
-    "12018",  //addon/quick-folder-move - contacted
-    "987821", //openattachmentbyextension/ - contacted
-    "988108", //addon/openpgp-alias-updater/ - contacted
-    "987914", //addon/filter-on-folder-button/ - needs multiple buttons
-    "987995", //addon/hide-local-folders-for-tb78/ - needs to hide local folders via CSS - contacted
-    "987727", //addon/monterail-full-dark-2/ - probably discontinued
-    "987726", //addon/monterail-dark-2-0-for-tb-68/ - probably discontinued
-    "4654",   //addon/removedupes - needs to adapt to mail:3pane, could use menus API - contacted
-]
-
-const unknown115 = [
-]
-const wip115 = [
-    "987986", // select_prev_on_delete-2.0.0-tb
-    "773590", // TbSync
-    "634298", // CardBook
-    "986686", // IETools
-    "986258", // Provider for DAV
-    "986338", // Provider for Exchange
-    "987840", // PrintingTools NG
-    "330066", // EditEmailSubject
-    "711780", // LookOut
-    "1279",   //addon/xpunge/ - contacted with working version
-]
-const column115 = [
-    "987838", //addon/sender-domain/
-    "987906", //addon/full-address-column/
-    "987911", //addon/spam-scores/
-]
-const known115 = [
-    "988138", //addon/grammar-and-spell-checker/
-    "702920", //addon/thunderhtmledit/
-    "986685", //addon/phoenity-icons/
-    "987908", //addon/deepl-selected-text/
-    "742199", //addon/attach-from-clipboard/
-    "11727",  //addon/refwdformatter/ (can be a pure webExt)
-    "987865", //addon/previous-colors/
-    "360086", //addon/toggle-headers/
-    "438634", // DKIM
-    "287743", // MailHops
-    "407832", //thunderbird/addon/filter-button/
-    "988057", //addon/keeprunning/
-    "987925", //addon/eml-editor/
-    "47144",  //addon/mail-merge/
-]
-
-const discontinued = [
-    "219725", //addon/autoslide/
-    "986572", //addon/flat-folder-tree-updated/ - broken, core does not seem to support add-on modes anymore -> API
-    "987978", //addon/monterail-darkness-extended/ - uses old WL and bad colors in TB91 already
-    "987660", //addon/taskviewflexlayout/
-    "987928", //addon/tabsinstatusbariconsinmenubar/
-    "988198", //addon/dontrestoretabsrevival/
-    "988370", //addon/spacebar-clicker/
-    "987665", //addon/lefttodaysubpaneorlogoorclock/
-    "987945", //addon/treechildrenheight50/
-    "367989", //addon/rise-of-the-tools/
-    "987901", //addon/transfer-immunity/ - Uses an experiment for alert, uses dead link - https://www.transferimmunity.com/
-    "988086", //addon/confirmconversionsatselecting/ - probably discontinued
-]
-
-const contacted = [
-    // Please remove upper limit, pure webext
-    "988060", //addon/text-insert-text-blocks/
-    "987860", //addon/empty-folder/
-    "988255",
-    "988365",
-    "988338",
-    "988094",
-    "987916",
-    "988167",
-    "988258",
-    "988171",
-    "988126",
-    "988166",
-    "988168",
-    "988389",
-    "988427",
-    "988170",
-    "988431",
-    "988428",
-    "988023",
-    "988451",
-    "988169",
-    "987925", // EML to get it to a pure WebExt
-    // incompatible
-    "12018",  //addon/quick-folder-move - contacted
-    "987821", //openattachmentbyextension/ - contacted
-    "988108", //addon/openpgp-alias-updater/ - contacted
-    "987995", //addon/hide-local-folders-for-tb78/ - needs to hide local folders via CSS - contacted
-    "4654",   //addon/removedupes - needs to adapt to mail:3pane, could use menus API - contacted
-]
+function exitWithUsage(msg) {
+    console.error(`${msg}\n\n${usage}`);
+    process.exit(1);
+}
 
-var gAlternativeData;
+const options = parseCommandLine();
 
-var groups = [
-    {
-        id: "115",
-        header: "Thunderbird Supernova reports"
+// Debug logging (0 - errors and basic logs only, 1 - verbose debug)
+const debugLevel = options.verbose ? 1 : 0;
+
+const reportDir = options.output;
+const templates = createRenderer(__dirname);
+const extsAllJsonFileName = options.input;
+
+// The categories of the badges, in the order of the legend.
+const BADGE_CATEGORIES = {
+    status: "Status",
+    compatibility: "Compatibility",
+    type: "Add-on Type",
+    permissions: "Permissions",
+    analysis: "Analysis",
+    changes: "Changes",
+};
+
+const MDN_DOCS = "https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions";
+const TB_API_DOCS = "https://webextension-api.thunderbird.net/en/stable/";
+
+// The badges of the report rows, the version cells and the Statistics section.
+// Parameterised badges are used as "<name>.<argument>" and show the argument.
+const badge_definitions = {
+    "discontinued": { kind: "flag", category: "status", left: '⠀', right: 'Discontinued', tone: "neutral", description: "The add-on has been discontinued by its author." },
+    "contacted": { kind: "flag", category: "status", left: '⠀', right: 'Waiting for Feedback', tone: "warning", description: "The author has been contacted, and we are waiting for feedback." },
+    "alternative_available": { kind: "flag", category: "status", left: '*', right: 'Alternative Available', tone: "positive", description: "An alternative add-on is available." },
+    "prediction": { kind: "parameterised", category: "compatibility", left: 'Rule', tone: "info", example: "removed-internals (0.8)", description: "Matching prediction rule (confidence)" },
+    "gained": { kind: "parameterised", category: "changes", left: 'Gained', tone: "positive", example: "TB115", description: "Gained compatibility", docs: "diff.html" },
+    "lost": { kind: "parameterised", category: "changes", left: 'Lost', tone: "negative", example: "TB115", description: "Lost compatibility", docs: "diff.html" },
+    "atn_max_raised": { kind: "parameterised", category: "changes", left: 'ATN Max Raised', tone: "positive", example: "102.* → 115.*", description: "The max version on ATN has been raised.", docs: "diff.html" },
+    "atn_max_reduced": { kind: "parameterised", category: "changes", left: 'ATN Max Reduced', tone: "negative", example: "115.* → 102.*", description: "The max version on ATN has been reduced.", docs: "diff.html" },
+    "added": { kind: "flag", category: "changes", left: '⠀', right: 'Newly Added', tone: "positive", description: "The add-on has been added to ATN.", docs: "diff.html" },
+    "removed": { kind: "flag", category: "changes", left: '⠀', right: 'Removed from ATN', tone: "neutral", description: "The add-on has been removed from ATN.", docs: "diff.html" },
+    "now_pure": { kind: "flag", category: "changes", left: '⠀', right: 'Switched to Pure WebExtension', color: '570861', description: "The add-on no longer uses Experiment APIs.", docs: "diff.html" },
+    "pure": { kind: "flag", category: "type", left: '⠀', right: 'Pure WebExtension', color: '570861', description: "The add-on does not use Experiment APIs.", docs: TB_API_DOCS },
+    "experiment": { kind: "flag", category: "type", left: '⠀', right: 'Experiment (legacy)', tone: "warning", description: "The add-on uses Experiment APIs." },
+    "no_limit_experiment": { kind: "flag", category: "type", left: '⠀', right: 'Limitless Experiment', tone: "warning", description: "The add-on uses Experiment APIs, but does not limit its max version." },
+    "theme_experiment": { kind: "flag", category: "type", left: '⠀', right: 'Theme Experiment', tone: "info", description: "The add-on uses a theme experiment." },
+    // The badges of the version cells, their tooltips list the details.
+    "type": { kind: "parameterised", category: "type", left: 'T', color: 'purple', example: "MX", description: "Extension Type: MX (MailExtension), WE (legacy WebExtension) or RDF (legacy extension using install.rdf)", docs: `${MDN_DOCS}/manifest.json` },
+    "legacy_type": { kind: "parameterised", category: "type", left: 'L', color: 'green', example: "XUL", description: "Legacy Type: XUL (XUL overlay, requires restart) or BS (bootstrapped)" },
+    "experiment_type": { kind: "parameterised", category: "type", left: 'E', tone: "info", example: "WL", description: "Experiment APIs: WL (WindowListener), BL (BootstrapLoader), Theme (theme experiment) or + (other Experiment APIs)" },
+    "internals": { kind: "parameterised", category: "analysis", left: 'I', tone: "negative", example: "2", description: "Number of uses of removed or changed Thunderbird internals by the Experiment APIs", docs: "likely-broken-internals.html" },
+    "permission": { kind: "parameterised", category: "permissions", left: 'p', color: 'orange', example: "storage", description: "Requested Permission", docs: `${MDN_DOCS}/manifest.json/permissions` },
+    "host": { kind: "parameterised", category: "permissions", left: 'h', color: 'orange', example: "All Hosts", description: "Requested Host Permission", docs: `${MDN_DOCS}/manifest.json/host_permissions` },
+    "optional": { kind: "parameterised", category: "permissions", left: 'o', tone: "neutral", example: "tabs", description: "Optional Permission", docs: `${MDN_DOCS}/manifest.json/optional_permissions` },
+    "added_permission": { kind: "parameterised", category: "permissions", left: '+p', tone: "negative", example: "tabs", description: "Added Permission", docs: "permission-escalations.html" },
+    "added_host": { kind: "parameterised", category: "permissions", left: '+h', tone: "negative", example: "<all_urls>", description: "Added Host Permission", docs: "permission-escalations.html" },
+    "added_experiment": { kind: "parameterised", category: "permissions", left: '+Experiment', tone: "negative", example: "WindowListener", description: "Added Experiment API", docs: "permission-escalations.html" },
+    "risk_low": { kind: "flag", category: "permissions", left: 'Risk', right: 'Low', tone: "positive", description: "Risk score of the requested permissions: low", docs: "permissions-risk.html" },
+    "risk_medium": { kind: "flag", category: "permissions", left: 'Risk', right: 'Medium', color: 'yellow', description: "Risk score of the requested permissions: medium", docs: "permissions-risk.html" },
+    "risk_high": { kind: "flag", category: "permissions", left: 'Risk', right: 'High', tone: "warning", description: "Risk score of the requested permissions: high", docs: "permissions-risk.html" },
+    "risk_critical": { kind: "flag", category: "permissions", left: 'Risk', right: 'Critical', tone: "negative", description: "Risk score of the requested permissions: critical (always for Experiments)", docs: "permissions-risk.html" },
+    "manifest": { kind: "parameterised", category: "analysis", left: 'Manifest', tone: "negative", example: "Unknown Key", description: "Problem found in the manifest.json", docs: `${MDN_DOCS}/manifest.json` },
+    "obsolete": { kind: "parameterised", category: "analysis", left: 'Obsolete', tone: "warning", example: "JSM", description: "Obsolete file type", docs: "obsolete-file-types.html" },
+    "locale": { kind: "parameterised", category: "analysis", left: 'Locale', tone: "warning", example: "Missing Messages", description: "Locale problem", docs: `${MDN_DOCS}/Internationalization` },
+    "internal": { kind: "parameterised", category: "analysis", left: 'Internal', tone: "negative", example: "Services.jsm", description: "Uses removed or changed Thunderbird internals", docs: "likely-broken-internals.html" },
+}
+
+// Compatibility badges for each ESR, e.g. "incompatible_115".
+for (let esr of SUPPORTED_ESR) {
+    badge_definitions[`compatible_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Compatible', tone: "positive", description: `Known to be compatible with Thunderbird ${esr}` };
+    badge_definitions[`probably_compatible_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Probably Compatible', tone: "positive", description: `Probably compatible with Thunderbird ${esr}` };
+    badge_definitions[`incompatible_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Incompatible', tone: "negative", description: `Known to be incompatible with Thunderbird ${esr}` };
+    badge_definitions[`unknown_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Compatibility Unknown', tone: "negative", description: `The compatibility with Thunderbird ${esr} is unknown` };
+    badge_definitions[`column_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Needs Column Support', color: 'darkred', description: `Needs support for custom columns in Thunderbird ${esr}` };
+    badge_definitions[`wip_${esr}`] = { kind: "flag", category: "compatibility", left: `TB${esr}`, right: 'Work in Progress', color: 'yellow', description: `The update for Thunderbird ${esr} is work in progress` };
+}
+
+const badgeRegistry = createBadgeRegistry(badge_definitions, Object.keys(BADGE_CATEGORIES));
+
+// Updates which escalated privileges are listed for this number of days.
+const RECENT_ESCALATION_DAYS = 90;
+
+// The columns of the standard reports. Each report lists the columns it shows
+// in its columns property (see standardColumns()). The value of a column is
+// taken from the data of the current version, the add-on and the row data of the
+// report, and is either a text, a list of lines, a {text, link} object or
+// pre-rendered {html}. Columns are right aligned, unless specified otherwise.
+// Columns with a sort property of "number" or "version" are sorted numerically
+// by the script of the report page. Columns, whose value is formatted (like
+// sizes), provide the raw value used for sorting by a sortValue function.
+const fromInventory = fn => data => data?.inventory ? fn(data.inventory) : "";
+const columnDefinitions = {
+    "rank": { header: "#", sort: "number", value: (data, extJson) => extJson.xpilib.rank },
+    "id": {
+        header: "Id",
+        sort: "number",
+        // Add-ons removed from ATN (see the diff report) have no detail page.
+        value: (data, extJson, rowData) => ({ text: extJson.id, link: rowData?.removed ? null : `addon/${extJson.id}-${extJson.slug}.html` })
     },
-    {
-        id: "general",
-        header: "General reports"
+    "name": {
+        header: "Name",
+        align: "left",
+        value: (data, extJson, rowData) => [
+            { text: getLocalizedName(extJson).substr(0, 38), link: rowData?.removed ? null : extJson.url, anchor: `${extJson.id}-${extJson.slug}` },
+            ...(getAlternative(extJson) || []).map(a => ({ prefix: "↳ ", text: a.name, link: a.link })),
+        ]
     },
-
-    {
-        id: "102",
-        header: "Thunderbird 102 reports"
+    "users": { header: "Users", sort: "number", value: (data, extJson) => extJson.average_daily_users },
+    "activity": { header: "Activity", value: data => data?.atn.files[0].created.split('T')[0] },
+    "current": { header: "Current", sort: "version", value: (data, extJson) => getVersionCell(extJson, "current") },
+    "min": { header: "Min (ATN)", sort: "version", value: data => data?.atn.compatibility.thunderbird.min || "*" },
+    "strict_max": { header: "Max (XPI)", sort: "version", value: data => getStrictMaxVersion(data) },
+    "atn_max": { header: "Max (ATN)", sort: "version", value: data => data?.atn.compatibility.thunderbird.max || "*" },
+    "notes": {
+        header: "Notes",
+        style: "font-style: italic",
+        value: (data, extJson, rowData) => ({ html: (rowData.badges || []).map(e => badgeRegistry.render(e.badge, { link: e.link })).join("<br>") })
     },
-    {
-        id: "91",
-        header: "Thunderbird 91 reports"
+    "created": { header: "Created", value: (data, extJson) => extJson.created?.split('T')[0] },
+    "permissions_count": {
+        header: "Permissions",
+        sort: "number",
+        value: data => {
+            let analysis = analyzePermissions(data?.manifest);
+            return analysis ? analysis.api.length + analysis.host.length : "";
+        }
     },
-    {
-        id: "78",
-        header: "Thunderbird 78 reports"
+    "experiment_apis": { header: "Experiment APIs", value: data => data?.experiment ? data.experimentSchemaNames : "" },
+    "files": { header: "Files", sort: "number", value: fromInventory(inv => inv.files) },
+    "size": { header: "Size", sort: "number", value: fromInventory(inv => formatSize(inv.size)), sortValue: fromInventory(inv => inv.size) },
+    "compressed_size": { header: "XPI Size", sort: "number", value: fromInventory(inv => formatSize(inv.compressed_size)), sortValue: fromInventory(inv => inv.compressed_size) },
+    "file_types": { header: "JS / HTML / CSS", value: fromInventory(inv => `${inv.js} / ${inv.html} / ${inv.css}`) },
+    "libraries": { header: "Bundled Libraries", value: fromInventory(inv => inv.minified_libraries) },
+    "locales": { header: "Locales", value: fromInventory(inv => inv.locales.join(", ")) },
+    "module_files": { header: "JSM / sys.mjs / XUL", value: fromInventory(inv => `${inv.jsm} / ${inv.sys_mjs} / ${inv.xul}`) },
+    "default_locale": { header: "Default Locale", value: data => data?.locales?.default_locale || "" },
+    "atn_locales": { header: "ATN Names", value: (data, extJson) => Object.keys(extJson.name || {}).sort().join(", ") },
+    "risk": {
+        header: "Risk",
+        sort: "number",
+        value: data => {
+            let analysis = analyzePermissions(data?.manifest);
+            return analysis ? `${analysis.score} (${analysis.level})` : "";
+        }
+    },
+    "api_permissions": { header: "API Permissions", value: data => analyzePermissions(data?.manifest)?.api || "" },
+    "host_permissions": { header: "Host Permissions", value: data => analyzePermissions(data?.manifest)?.host || "" },
+    "permission_changes": {
+        header: "Permission Changes",
+        value: (data, extJson) => {
+            let changes = extJson.xpilib?.permission_changes;
+            if (!changes) {
+                return "";
+            }
+            return [
+                `${changes.from} → ${changes.to} (${changes.date.split('T')[0]})`,
+                `Risk: ${changes.score_before} → ${changes.score_after}`,
+                ...changes.removed_permissions.map(p => `- ${p}`),
+                ...changes.removed_hosts.map(h => `- ${h}`),
+                ...changes.removed_experiment_apis.map(a => `- ${a}`),
+                ...changes.added_optional_permissions.map(p => `+ ${p} (optional)`),
+            ];
+        }
     },
-    {
-        id: "68",
-        header: "Thunderbird 68 reports"
+    "missing_messages": {
+        header: "Missing Messages",
+        value: data => Object.entries(data?.locales?.missing_messages || {})
+            .map(([locale, names]) => `${locale}: ${names.join(", ")}`)
     },
+}
+// The version cell of each ESR.
+for (let esr of SUPPORTED_ESR) {
+    columnDefinitions[`tb${esr}`] = { header: `TB${esr}`, sort: "version", value: (data, extJson) => getVersionCell(extJson, esr) };
+}
+
+// Returns the columns of a standard report, with the version cells of the given
+// ESRs and the given additional columns before the notes.
+function standardColumns(esrList = SUPPORTED_ESR, ...extraColumns) {
+    return [
+        "rank", "id", "name", "users",
+        ...esrList.map(esr => `tb${esr}`),
+        "activity", "current", "min", "strict_max", "atn_max",
+        ...extraColumns,
+        "notes",
+    ];
+}
 
-]
+var gAlternativeData;
+var gCuratedData;
+var gPredictionRules;
+// The names of the reports listing an add-on, by add-on id.
+var gReportsByAddon = new Map();
+
+// One group per ESR (newest first), the general reports are listed after the
+// group of the newest ESR. Groups without reports are not shown in the index.
+var groups = SUPPORTED_ESR.slice(1).reverse().map(esr => ({
+    id: `${esr}`,
+    header: `${getESRName(esr)} reports`
+}));
+groups.splice(1, 0, {
+    id: "general",
+    header: "General reports"
+});
 var reports = {
     "all": {
         group: "general",
-        header: "All Extensions compatible with TB60 or newer.",
+        header: `All Extensions compatible with TB${SUPPORTED_ESR[0]} or newer.`,
         template: "report-template.html",
         enabled: true,
         generate: genStandardReport,
@@ -344,45 +330,27 @@ var reports = {
         enabled: true,
         generate: genStandardReport,
         rowData: function (extJson) {
-            let v115 = getExtData(extJson, "115").version;
-            let v102 = getExtData(extJson, "102").version;
-            let v91 = getExtData(extJson, "91").version;
-            let v78 = getExtData(extJson, "78").version;
-            let v68 = getExtData(extJson, "68").version;
-            let v60 = getExtData(extJson, "60").version;
-
-            if (v60 && v68 && compareVer(v60, v68) > 0) return { include: true };
-            if (v60 && v78 && compareVer(v60, v78) > 0) return { include: true };
-            if (v60 && v91 && compareVer(v60, v91) > 0) return { include: true };
-            if (v60 && v102 && compareVer(v60, v102) > 0) return { include: true };
-            if (v60 && v115 && compareVer(v60, v115) > 0) return { include: true };
-
-            if (v68 && v78 && compareVer(v68, v78) > 0) return { include: true };
-            if (v68 && v91 && compareVer(v68, v91) > 0) return { include: true };
-            if (v68 && v102 && compareVer(v68, v102) > 0) return { include: true };
-            if (v68 && v115 && compareVer(v68, v115) > 0) return { include: true };
-
-            if (v78 && v91 && compareVer(v78, v91) > 0) return { include: true };
-            if (v78 && v102 && compareVer(v78, v102) > 0) return { include: true };
-            if (v78 && v115 && compareVer(v78, v115) > 0) return { include: true };
-
-            if (v91 && v102 && compareVer(v91, v102) > 0) return { include: true };
-            if (v91 && v115 && compareVer(v91, v115) > 0) return { include: true };
-
-            if (v102 && v115 && compareVer(v102, v115) > 0) return { include: true };
-
+            // Any older ESR having a more recent version than a newer ESR.
+            let versions = SUPPORTED_ESR.map(esr => getExtData(extJson, esr).version);
+            for (let i = 0; i < versions.length; i++) {
+                for (let j = i + 1; j < versions.length; j++) {
+                    if (versions[i] && versions[j] && compareVer(versions[i], versions[j]) > 0) {
+                        return { include: true };
+                    }
+                }
+            }
             return { include: false };
         },
     },
     "purge-candidates": {
         group: "general",
-        header: "All Extensions not compatible with TB68, which should be purged from ATN.",
+        header: `All Extensions not compatible with TB${SUPPORTED_ESR[1]}, which should be purged from ATN.`,
         template: "report-template.html",
         enabled: true,
         generate: genStandardReport,
         rowData: function (extJson) {
             let data = getAllData(extJson);
-            return { include: !Object.entries(data).some(([v, d]) => v > 60 && d.version) };
+            return { include: !Object.entries(data).some(([v, d]) => v > SUPPORTED_ESR[0] && d.version) };
         },
     },
     "parsing-error": {
@@ -420,6 +388,7 @@ var reports = {
         header: "Extensions created within the last year.",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "created"),
         generate: genStandardReport,
         rowData: function (extJson) {
             let current_version = getExtData(extJson, "current").data;
@@ -439,26 +408,13 @@ var reports = {
         header: "Extensions requesting WebExtension permissions.",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "permissions_count"),
         generate: genStandardReport,
+        statsUsers: true,
         rowData: function (extJson) {
-            let data = getExtData(extJson, "current").data;
-            let badges = [];
+            let manifest = getExtData(extJson, "current").data?.manifest;
+            let badges = getPermissionBadges(manifest);
 
-            let permissions = data?.manifest?.permissions;
-            if (Array.isArray(permissions)) {
-                for (let permission of permissions) {
-                    // We do not see each individual contentScript definition
-                    if (permission.includes(":/") || permission == "<all_urls>") {
-                        if (badges.filter(e => e.badge == "permission.contentScript").length == 0) {
-                            badges.push({ badge: `permission.contentScript` });
-                        }
-                    } else {
-                        badges.push({ badge: `permission.${permission}` });
-                    }
-                }
-            }
-
-            let manifest = data?.manifest;
             const keys = ["compose_action", "browser_action", "message_display_action", "cloud_file", "commands"];
             if (manifest) {
                 for (let key of keys)
@@ -467,11 +423,36 @@ var reports = {
             }
 
             return {
-                include: !!permissions,
+                include: !!manifest?.permissions,
                 badges
             };
         },
     },
+    "permissions-risk": {
+        group: "general",
+        header: "Extensions sorted by the risk score of their requested permissions (API permissions, host permissions, optional permissions, content scripts, web accessible resources and Experiments).",
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "risk", "api_permissions", "host_permissions"),
+        statsUsers: true,
+        generate: function (extsJson, name, report) {
+            const getScore = extJson => analyzePermissions(getExtData(extJson, "current").data?.manifest)?.score ?? -1;
+            let sorted = extsJson
+                .filter(extJson => getScore(extJson) >= 0)
+                .sort((a, b) => getScore(b) - getScore(a));
+            return genStandardReport(sorted, name, report);
+        },
+        rowData: function (extJson) {
+            let manifest = getExtData(extJson, "current").data?.manifest;
+            let analysis = analyzePermissions(manifest);
+            return {
+                include: !!analysis,
+                badges: analysis
+                    ? [{ badge: `risk_${analysis.level}` }, ...getPermissionBadges(manifest)]
+                    : []
+            };
+        }
+    },
     "max-atn-value-raised-above-max-xpi-value": {
         group: "general",
         header: "Extensions whose max version has been raised in ATN above the XPI value (excluding legacy extensions).",
@@ -484,16 +465,14 @@ var reports = {
                 return { include: false };
 
             let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
-            let strict_max = vCurrent.manifest?.applications?.gecko?.strict_max_version ||
-                vCurrent.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-                "*";
+            let strict_max = getStrictMaxVersion(vCurrent);
 
             let include = vCurrent.mext && !vCurrent.legacy && (compareVer(strict_max, atn_max) < 0);
             let badges = [];
-            if (unknown115.includes(`${extJson.id}`)) {
+            if (gCuratedData.getStatus(extJson.id, 115) == "unknown") {
                 badges.push({ badge: "unknown_115" });
             }
-            if (discontinued.includes(`${extJson.id}`)) {
+            if (gCuratedData.isDiscontinued(extJson.id)) {
                 badges.push({ badge: "discontinued" });
             }
             return { include, badges };
@@ -511,13 +490,11 @@ var reports = {
                 return { include: false };
 
             let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
-            let strict_max = vCurrent.manifest?.applications?.gecko?.strict_max_version ||
-                vCurrent.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-                "*";
+            let strict_max = getStrictMaxVersion(vCurrent);
 
             let include = vCurrent.mext && !vCurrent.legacy && (compareVer(strict_max, atn_max) > 0);
             let badges = [];
-            if (discontinued.includes(`${extJson.id}`)) {
+            if (gCuratedData.isDiscontinued(extJson.id)) {
                 badges.push({ badge: "discontinued" });
             }
             let themeExperiment = vCurrent.manifest?.theme_experiment;
@@ -528,7 +505,7 @@ var reports = {
                 badges.push({ badge: "pure" });
             }
 
-            if (contacted.includes(`${extJson.id}`)) {
+            if (gCuratedData.isWaitingForFeedback(extJson.id)) {
                 badges.push({ badge: "contacted" });
             }
             return { include, badges };
@@ -548,25 +525,165 @@ var reports = {
             return { include: !reports["wrong-order"].rowData(extJson).include && !!vHighest && vHighest.version != vCurrent.version };
         },
     },
+    "likely-broken-internals": {
+        group: "general",
+        header: "Experiments, whose current version uses removed or changed Thunderbird internals (e.g. Services.jsm, JSM imports, tabmail-tab elements or mail:3pane DOM ids).",
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "experiment_apis"),
+        generate: genStandardReport,
+        rowData: function (extJson) {
+            let findings = getExtData(extJson, "current").data?.experimentFindings || [];
+            let checks = [...new Set(findings.map(f => f.check))];
+            return {
+                include: checks.length > 0,
+                badges: checks.map(id => ({ badge: `internal.${getCheck(id)?.label || id}` }))
+            };
+        }
+    },
+    "manifest-problems": {
+        group: "general",
+        header: "Extensions, whose current version has a manifest.json with problems (unknown keys, invalid permissions, malformed strict_max_version, missing add-on id or deprecated applications key).",
+        template: "report-template.html",
+        enabled: true,
+        generate: genStandardReport,
+        rowData: function (extJson) {
+            let problems = getExtData(extJson, "current").data?.manifestProblems || [];
+            let classes = [...new Set(problems.map(p => p.problem))];
+            return {
+                include: classes.length > 0,
+                badges: classes.map(c => ({ badge: `manifest.${PROBLEM_CLASSES[c] || c}` }))
+            };
+        }
+    },
+    "largest-addons": {
+        group: "general",
+        header: "The 100 largest extensions (uncompressed size of the current version).",
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "files", "size", "compressed_size", "file_types", "libraries"),
+        generate: function (extsJson, name, report) {
+            const getSize = extJson => getExtData(extJson, "current").data?.inventory?.size || 0;
+            let largest = extsJson
+                .filter(extJson => getSize(extJson) > 0)
+                .sort((a, b) => getSize(b) - getSize(a))
+                .slice(0, 100);
+            return genStandardReport(largest, name, report);
+        },
+        rowData: function (extJson) {
+            return { include: true };
+        }
+    },
+    "obsolete-file-types": {
+        group: "general",
+        header: "Extensions, whose current version ships obsolete file types (JSM modules or XUL files).",
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "files", "module_files"),
+        generate: genStandardReport,
+        rowData: function (extJson) {
+            let inventory = getExtData(extJson, "current").data?.inventory;
+            let badges = [];
+            if (inventory?.jsm > 0) {
+                badges.push({ badge: "obsolete.JSM" });
+            }
+            if (inventory?.xul > 0) {
+                badges.push({ badge: "obsolete.XUL" });
+            }
+            return { include: badges.length > 0, badges };
+        }
+    },
+    "permission-escalations": {
+        group: "general",
+        header: `Extensions updated within the last ${RECENT_ESCALATION_DAYS} days, whose current version requests more privileges than the previous version (new permissions, host permissions or Experiment APIs).`,
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "permission_changes"),
+        statsUsers: true,
+        rowData: function (extJson) {
+            let changes = extJson.xpilib?.permission_changes;
+            if (!changes?.escalated) {
+                return { include: false };
+            }
+            const msDay = 24 * 60 * 60 * 1000;
+            let days = (new Date() - new Date(changes.date)) / msDay;
+            let badges = [
+                ...changes.added_permissions.map(p => ({ badge: `added_permission.${p}` })),
+                ...changes.added_hosts.map(h => ({ badge: `added_host.${h}` })),
+                ...changes.added_experiment_apis.map(a => ({ badge: `added_experiment.${a}` })),
+            ];
+            return { include: days <= RECENT_ESCALATION_DAYS, badges };
+        },
+        generate: genStandardReport,
+    },
+    "locale-coverage": {
+        group: "general",
+        header: "Locales supported by the current version of each extension, and problems with its locales (missing messages referenced by the manifest, missing default_locale folder or ATN names not matching the default_locale).",
+        template: "report-template.html",
+        enabled: true,
+        columns: standardColumns(SUPPORTED_ESR, "default_locale", "locales", "atn_locales", "missing_messages"),
+        generate: genStandardReport,
+        rowData: function (extJson) {
+            let info = getExtData(extJson, "current").data?.locales;
+            if (!info || (info.locales.length == 0 && info.referenced_messages.length == 0)) {
+                return { include: false };
+            }
+
+            let badges = [];
+            if (Object.keys(info.missing_messages).length > 0) {
+                badges.push({ badge: "locale.Missing Messages" });
+            }
+            if (info.invalid_locales.length > 0) {
+                badges.push({ badge: "locale.Invalid messages.json" });
+            }
+            if (!info.default_locale) {
+                badges.push({ badge: "locale.Missing default_locale" });
+            } else {
+                if (!info.locales.includes(info.default_locale)) {
+                    badges.push({ badge: "locale.Missing default_locale Folder" });
+                }
+                let atnLocales = Object.keys(extJson.name || {});
+                if (!atnLocales.some(l => isSameLanguage(l, info.default_locale)) ||
+                    (extJson.default_locale && !isSameLanguage(extJson.default_locale, info.default_locale))) {
+                    badges.push({ badge: "locale.ATN Default Locale Mismatch" });
+                }
+            }
+            return { include: true, badges };
+        }
+    },
+    "diff": {
+        group: "general",
+        header: "Extensions which changed between the crawl given by --diff-base and the current crawl.",
+        template: "report-template.html",
+        // Only available if a diff base is given.
+        enabled: !!options.diffBase,
+        generate: genDiffReport,
+    },
+    "trends": {
+        group: "general",
+        header: "Compatibility trends across the archived snapshots of the collected data.",
+        template: "trends-template.html",
+        enabled: true,
+        generate: genTrendsReport,
+    },
     // -- v115 -------------------------------------------------------------------------------------
     "tb115-expected-compatible": {
         group: "115",
         header: "Extensions expected to be compatible with Thunderbird 115.",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(["102", "115"]),
         generate: genStandardReport,
         rowData: function (extJson) {
             let v115 = getExtData(extJson, "115").data;
             let include = !!v115 && 
-                !incompatible115.includes(`${extJson.id}`) &&
-                !column115.includes(`${extJson.id}`) &&
-                !wip115.includes(`${extJson.id}`);
-                !discontinued.includes(`${extJson.id}`);
+                !["incompatible", "column", "wip"].includes(gCuratedData.getStatus(extJson.id, 115)) &&
+                !gCuratedData.isDiscontinued(extJson.id);
             let badges = [];
 
             // all non pure extensions have to be explicitly checked
             if (include) {
-                if (unknown115.includes(`${extJson.id}`)) {
+                if (gCuratedData.getStatus(extJson.id, 115) == "unknown") {
                     badges.push({ badge: "unknown_115" });
                 }
                 if (v115.experiment) {
@@ -589,19 +706,20 @@ var reports = {
         header: "Extensions which have been lost from TB102 to TB115, worst case scenario",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(["102", "115"]),
         generate: genStandardReport,
         rowData: function (extJson) {
             let v115 = getExtData(extJson, "115").data;
             let v102 = getExtData(extJson, "102").data;
             let include = (!!v102 && !v115) 
-                || incompatible115.includes(`${extJson.id}`)
-                || unknown115.includes(`${extJson.id}`)
-                || column115.includes(`${extJson.id}`)
-                || wip115.includes(`${extJson.id}`)
+                || gCuratedData.getStatus(extJson.id, 115) == "incompatible"
+                || gCuratedData.getStatus(extJson.id, 115) == "unknown"
+                || gCuratedData.getStatus(extJson.id, 115) == "column"
+                || gCuratedData.getStatus(extJson.id, 115) == "wip"
             let badges = [];
 
             if (include) {
-                if (discontinued.includes(`${extJson.id}`)) {
+                if (gCuratedData.isDiscontinued(extJson.id)) {
                     badges.push({ badge: "discontinued" });
                 }
                 if (reports["pure-webext-with-upper-limit"].rowData(extJson).include) {
@@ -614,119 +732,32 @@ var reports = {
                 if (themeExperiment) {
                     badges.push({ badge: "theme_experiment" });
                 }
-                if (incompatible115.includes(`${extJson.id}`)) {
+                if (gCuratedData.getStatus(extJson.id, 115) == "incompatible") {
                     badges.push({ badge: "incompatible_115" });
                 }
-                if (unknown115.includes(`${extJson.id}`)) {
+                if (gCuratedData.getStatus(extJson.id, 115) == "unknown") {
                     badges.push({ badge: "unknown_115" });
                 }
-                if (column115.includes(`${extJson.id}`)) {
+                if (gCuratedData.getStatus(extJson.id, 115) == "column") {
                     badges.push({ badge: "column_115" });
                 }
-                if (wip115.includes(`${extJson.id}`)) {
+                if (gCuratedData.getStatus(extJson.id, 115) == "wip") {
                     badges.push({ badge: "wip_115" });
                 }
 
-                if (contacted.includes(`${extJson.id}`)) {
+                if (gCuratedData.isWaitingForFeedback(extJson.id)) {
                     badges.push({ badge: "contacted" });
                 }
             }
             return { include, badges };
         }
     },
-    "atn-tb115": {
-        group: "115",
-        header: "Extensions compatible with Thunderbird 115 as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v115 = getExtData(extJson, "115").data;
-            let include = !!v115;
-            let badges = [];
-
-            if (include) {
-                if (v115.experiment) {
-                    badges.push({ badge: "experiment"});
-                }
-                if (incompatible115.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "incompatible_115" });
-                }
-                if (unknown115.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "unknown_115" });
-                }
-                if (column115.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "column_115" });
-                }
-                if (wip115.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "wip_115" });
-                }
-                if (discontinued.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "discontinued" });
-                }
-                let themeExperiment = v115.manifest?.theme_experiment;
-                if (themeExperiment) {
-                    badges.push({ badge: "theme_experiment" });
-                }
-                if (!v115.legacy && v115.mext && !v115.experiment && !themeExperiment) {
-                    badges.push({ badge: "pure" });
-                }
-            };
-
-            return { include, badges }
-        }
-    },
-    "valid-115-according-to-strict-max-but-atn-value-reduced": {
-        group: "115",
-        header: "Extensions whose strict_max_version allows installation in Thunderbird 115, but ATN value has been lowered to signal incompatibility (which is ignored during install and app upgrade). Also includes add-ons which are known to be incompatible.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let vCurrent = getExtData(extJson, "current").data;
-            if (!vCurrent)
-                return { include: false };
-
-            let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
-            let strict_max = vCurrent.manifest?.applications?.gecko?.strict_max_version ||
-                vCurrent.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-                "*";
-
-            let baseReport = reports["max-atn-value-reduced-below-max-xpi-value"].rowData(extJson);
-            let badges = [];
-            let manually_lowered = baseReport.include &&
-                compareVer(strict_max, 115) > 0 && // xpi limit > 115
-                compareVer(atn_max, "115.*") < 0; // atn limit < 115.*
-
-            if (incompatible115.includes(`${extJson.id}`)) {
-                badges.push({ badge: "incompatible_115" });
-            }
-            if (unknown115.includes(`${extJson.id}`)) {
-                badges.push({ badge: "unknown_115" });
-            }
-
-            let themeExperiment = vCurrent.manifest?.theme_experiment;
-            if (themeExperiment) {
-                badges.push({ badge: "theme_experiment" });
-            }
-            if (!vCurrent.legacy && vCurrent.mext && !vCurrent.experiment && !themeExperiment) {
-                badges.push({ badge: "pure" });
-            }
-            if (discontinued.includes(`${extJson.id}`)) {
-                badges.push({ badge: "discontinued" });
-            }
-
-            if (contacted.includes(`${extJson.id}`)) {
-                badges.push({ badge: "contacted" });
-            }
-            return { include: manually_lowered || incompatible115.includes(`${extJson.id}`), badges };
-        }
-    },
     "experiments-without-upper-limit": {
         group: "115",
         header: "Experiments without upper limit in ATN.",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(["102", "115"], "experiment_apis"),
         generate: genStandardReport,
         rowData: function (extJson) {
             let vCurrent = getExtData(extJson, "current").data;
@@ -735,19 +766,19 @@ var reports = {
             let include = !!vCurrent && vCurrent.mext && vCurrent.experiment && atn_max == "*";
             let badges = [];
 
-            if (incompatible115.includes(`${extJson.id}`)) {
+            if (gCuratedData.getStatus(extJson.id, 115) == "incompatible") {
                 badges.push({ badge: "incompatible_115" });
             }
-            if (unknown115.includes(`${extJson.id}`)) {
+            if (gCuratedData.getStatus(extJson.id, 115) == "unknown") {
                 badges.push({ badge: "unknown_115" });
             }
-            if (column115.includes(`${extJson.id}`)) {
+            if (gCuratedData.getStatus(extJson.id, 115) == "column") {
                 badges.push({ badge: "column_115" });
             }
-            if (wip115.includes(`${extJson.id}`)) {
+            if (gCuratedData.getStatus(extJson.id, 115) == "wip") {
                 badges.push({ badge: "wip_115" });
             }
-            if (discontinued.includes(`${extJson.id}`)) {
+            if (gCuratedData.isDiscontinued(extJson.id)) {
                 badges.push({ badge: "discontinued" });
             }
 
@@ -759,6 +790,7 @@ var reports = {
         header: "Pure WebExtensions with an unnecessary max_version_setting (excluding theme_experiments).",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(["102", "115"]),
         generate: genStandardReport,
         rowData: function (extJson) {
             let vCurrent = getExtData(extJson, "current").data;
@@ -767,17 +799,15 @@ var reports = {
 
             let themeExperiment = vCurrent.manifest?.theme_experiment;
             let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
-            let strict_max = vCurrent.manifest?.applications?.gecko?.strict_max_version ||
-                vCurrent.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-                "*";
+            let strict_max = getStrictMaxVersion(vCurrent);
             let include = !themeExperiment && !vCurrent.legacy && vCurrent.mext && !vCurrent.experiment && (strict_max != "*" || atn_max != "*");
 
 
             let badges = [];
-            if (discontinued.includes(`${extJson.id}`)) {
+            if (gCuratedData.isDiscontinued(extJson.id)) {
                 badges.push({ badge: "discontinued" });
             }
-            if (contacted.includes(`${extJson.id}`)) {
+            if (gCuratedData.isWaitingForFeedback(extJson.id)) {
                 badges.push({ badge: "contacted" });
             }
             return { include, badges };
@@ -785,75 +815,12 @@ var reports = {
     },
 
     // -- v102 -------------------------------------------------------------------------------------
-    "atn-tb102": {
-        group: "102",
-        header: "Extensions compatible with Thunderbird 102 as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v102 = getExtData(extJson, "102").data;
-            let include = !!v102;
-            let badges = [];
-
-            if (include) {
-                let themeExperiment = v102.manifest?.theme_experiment;
-                if (themeExperiment) {
-                    badges.push({ badge: "theme_experiment" });
-                }
-                if (!v102.legacy && v102.mext && !v102.experiment && !themeExperiment) {
-                    badges.push({ badge: "pure" });
-                }
-            }
-
-            return { include, badges };
-        }
-    },
-    "valid-102-according-to-strict-max-but-atn-value-reduced": {
-        group: "102",
-        header: "Extensions whose strict_max_version allows installation in Thunderbird 102, but ATN value has been lowered to signal incompatibility (which is ignored during install and app upgrade).",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let vCurrent = getExtData(extJson, "current").data;
-            if (!vCurrent)
-                return { include: false };
-
-            let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
-            let strict_max = vCurrent.manifest?.applications?.gecko?.strict_max_version ||
-                vCurrent.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-                "*";
-
-            let baseReport = reports["max-atn-value-reduced-below-max-xpi-value"].rowData(extJson);
-            let badges = baseReport.badges;
-            let include = baseReport.include &&
-                compareVer(strict_max, 102) > 0 && // xpi limit > 102
-                compareVer(atn_max, "102.*") < 0; // atn limit < 102.*
-
-            if (knownBroken102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "incompatible_102" });
-            } else if (knownWorking102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "compatible_102" });
-            } else if (probably_compatible_102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "probably_compatible_102" });
-            }
-
-            if (discontinued.includes(`${extJson.id}`)) {
-                badges.push({ badge: "discontinued" });
-            }
-
-            if (contacted.includes(`${extJson.id}`)) {
-                badges.push({ badge: "contacted" });
-            }
-            return { include, badges };
-        }
-    },
     "tb102-experiments-with-102-0-limit": {
         group: "102",
         header: "Experiments who have an upper limit of 102.0.",
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns(["91", "102"]),
         generate: genStandardReport,
         rowData: function (extJson) {
             let v102 = getExtData(extJson, "102").data;
@@ -862,320 +829,351 @@ var reports = {
             let include = atn_max == "102.0";
 
             let badges = [];
-            if (knownBroken102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "incompatible_102" });
-            } else if (knownWorking102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "compatible_102" });
-            } else if (discontinued.includes(`${extJson.id}`)) {
+            let compatibility = getCuratedCompatibility(extJson, "102");
+            if (compatibility && compatibility != "probably_compatible_102") {
+                badges.push({ badge: compatibility });
+            } else if (gCuratedData.isDiscontinued(extJson.id)) {
                 badges.push({ badge: "discontinued" });
-            } else if (probably_compatible_102.includes(`${extJson.id}`)) {
-                badges.push({ badge: "probably_compatible_102" });
+            } else if (compatibility) {
+                badges.push({ badge: compatibility });
             }
 
-            if (contacted.includes(`${extJson.id}`)) {
+            if (gCuratedData.isWaitingForFeedback(extJson.id)) {
                 badges.push({ badge: "contacted" });
             }
             return { include, badges };
         }
     },
-    "lost-tb91-to-tb102": {
-        group: "102",
-        header: "Extensions which have been lost from TB91 to TB102 as seen by ATN",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v102 = getExtData(extJson, "102").version;
-            let v91 = getExtData(extJson, "91").version;
-            let badLimit102 = reports["tb102-experiments-with-102-0-limit"].rowData(extJson).include;
-            let include = (!!v91 && !v102) || badLimit102;
+}
 
-            let badges = [];
-            if (include) {
-                if (getAlternative(extJson)) {
-                    badges.push({ badge: "alternative_available" });
-                }
-                if (knownBroken102.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "incompatible_102" });
-                } else if (knownWorking102.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "compatible_102" });
-                } else if (discontinued.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "discontinued" });
-                } else if (badLimit102 || probably_compatible_102.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "probably_compatible_102" });
+// -- ESR report families ----------------------------------------------------------------------
+
+// The hand-written reports of the older ESR differed in the shown badges and in
+// the included add-ons. These differences are kept as options of the generated
+// reports, ESR without an entry use the options of the newest ESR:
+//   atnBadges                  "type" (theme experiment and pure WebExtension
+//                              only) or "curated" (also Experiment, curated
+//                              status and discontinued)
+//   lostBadges                 "none", "incompatible" (incompatible_<esr>, if no
+//                              alternative is available) or "curated"
+//   lostDotZeroLimit           include add-ons limited to <esr>.0 in the lost
+//                              report (will be disabled by the first point
+//                              release, but are probably compatible)
+//   validBadges                "max-atn" (the badges of the
+//                              max-atn-value-reduced-below-max-xpi-value report
+//                              and the curated compatibility) or "curated"
+//   validIncludesIncompatible  include curated incompatible add-ons in the valid
+//                              report
+const ESR_REPORT_OPTIONS = {
+    default: { atnBadges: "curated", lostBadges: "curated", lostDotZeroLimit: false, validBadges: "curated", validIncludesIncompatible: true },
+    68: { atnBadges: "type", lostBadges: "none" },
+    78: { atnBadges: "type", lostBadges: "none" },
+    91: { atnBadges: "type", lostBadges: "incompatible" },
+    102: { atnBadges: "type", lostDotZeroLimit: true, validBadges: "max-atn", validIncludesIncompatible: false },
+};
+
+// Create the reports, which exist for each ESR (except the oldest one): The
+// add-ons compatible as seen by ATN, the add-ons lost from the previous ESR, the
+// add-ons whose strict_max_version allows installation but the ATN value has
+// been reduced, and legacy add-ons falsely claiming to be compatible.
+function genESRReports(esrList) {
+    let esrReports = {};
+    for (let i = 1; i < esrList.length; i++) {
+        let esr = esrList[i];
+        let prev = esrList[i - 1];
+        let reportOptions = { ...ESR_REPORT_OPTIONS.default, ...ESR_REPORT_OPTIONS[esr] };
+
+        esrReports[`atn-tb${esr}`] = {
+            group: `${esr}`,
+            header: `Extensions compatible with Thunderbird ${esr} as seen by ATN.`,
+            template: "report-template.html",
+            enabled: true,
+            columns: standardColumns([prev, esr]),
+            generate: genStandardReport,
+            rowData: function (extJson) {
+                let vEsr = getExtData(extJson, esr).data;
+                let include = !!vEsr;
+                let badges = [];
+
+                if (include) {
+                    if (reportOptions.atnBadges == "curated") {
+                        if (vEsr.experiment) {
+                            badges.push({ badge: "experiment" });
+                        }
+                        // Known compatible add-ons are not flagged.
+                        let status = gCuratedData.getStatus(extJson.id, esr);
+                        if (["incompatible", "unknown", "column", "wip"].includes(status)) {
+                            badges.push({ badge: `${status}_${esr}` });
+                        }
+                        if (gCuratedData.isDiscontinued(extJson.id)) {
+                            badges.push({ badge: "discontinued" });
+                        }
+                    }
+                    let themeExperiment = vEsr.manifest?.theme_experiment;
+                    if (themeExperiment) {
+                        badges.push({ badge: "theme_experiment" });
+                    }
+                    if (!vEsr.legacy && vEsr.mext && !vEsr.experiment && !themeExperiment) {
+                        badges.push({ badge: "pure" });
+                    }
                 }
 
-                if (contacted.includes(`${extJson.id}`)) {
-                    badges.push({ badge: "contacted" });
-                }
+                return { include, badges };
             }
-            return { include, badges };
-        }
-    },
-    // -- v91 --------------------------------------------------------------------------------------
-    "atn-tb91": {
-        group: "91",
-        header: "Extensions compatible with Thunderbird 91 as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v91 = getExtData(extJson, "91").data;
-            let include = !!v91;
-            let badges = [];
-
-            if (include) {
-                let themeExperiment = v91.manifest?.theme_experiment;
-                if (themeExperiment) {
-                    badges.push({ badge: "theme_experiment" });
-                }
-                if (!v91.legacy && v91.mext && !v91.experiment && !themeExperiment) {
-                    badges.push({ badge: "pure" });
+        };
+
+        esrReports[`lost-tb${prev}-to-tb${esr}`] = {
+            group: `${esr}`,
+            header: `Extensions which have been lost from TB${prev} to TB${esr}, as seen by ATN.`,
+            template: "report-template.html",
+            enabled: true,
+            columns: standardColumns([prev, esr]),
+            generate: genStandardReport,
+            rowData: function (extJson) {
+                let vPrev = getExtData(extJson, prev).version;
+                let vEsr = getExtData(extJson, esr);
+                let dotZeroLimit = reportOptions.lostDotZeroLimit &&
+                    vEsr.data?.atn?.compatibility?.thunderbird?.max == `${esr}.0`;
+                let include = (!!vPrev && !vEsr.version) || dotZeroLimit;
+
+                let badges = [];
+                if (!include || reportOptions.lostBadges == "none") {
+                    return { include, badges };
                 }
-            };
-
-            return { include, badges }
-        }
-    },
-    "lost-tb78-to-tb91": {
-        group: "91",
-        header: "Extensions which have been lost from TB78 to TB91, as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v91 = getExtData(extJson, "91").version;
-            let v78 = getExtData(extJson, "78").version;
-            let include = !!v78 && !v91;
-
-            let badges = [];
-            if (include) {
                 if (getAlternative(extJson)) {
                     badges.push({ badge: "alternative_available" });
-                } else {
-                    badges.push({ badge: "incompatible_91" });
+                } else if (reportOptions.lostBadges == "incompatible") {
+                    badges.push({ badge: `incompatible_${esr}` });
                 }
-            }
-            return { include, badges };
-        }
-    },
-    // -- v78 --------------------------------------------------------------------------------------
-    "atn-tb78": {
-        group: "78",
-        header: "Extensions compatible with Thunderbird 78 as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v78 = getExtData(extJson, "78").data;
-            let include = !!v78;
-            let badges = [];
+                if (reportOptions.lostBadges == "curated") {
+                    let compatibility = getCuratedCompatibility(extJson, esr);
+                    if (compatibility && compatibility != `probably_compatible_${esr}`) {
+                        badges.push({ badge: compatibility });
+                    } else if (gCuratedData.isDiscontinued(extJson.id)) {
+                        badges.push({ badge: "discontinued" });
+                    } else if (dotZeroLimit || compatibility) {
+                        badges.push({ badge: `probably_compatible_${esr}` });
+                    }
 
-            if (include) {
-                let themeExperiment = v78.manifest?.theme_experiment;
-                if (themeExperiment) {
-                    badges.push({ badge: "theme_experiment" });
+                    if (gCuratedData.isWaitingForFeedback(extJson.id)) {
+                        badges.push({ badge: "contacted" });
+                    }
                 }
-                if (!v78.legacy && v78.mext && !v78.experiment && !themeExperiment) {
-                    badges.push({ badge: "pure" });
+                return { include, badges };
+            }
+        };
+
+        esrReports[`valid-${esr}-according-to-strict-max-but-atn-value-reduced`] = {
+            group: `${esr}`,
+            header: `Extensions whose strict_max_version allows installation in Thunderbird ${esr}, but ATN value has been lowered to signal incompatibility (which is ignored during install and app upgrade).` +
+                (reportOptions.validIncludesIncompatible ? " Also includes add-ons which are known to be incompatible." : ""),
+            template: "report-template.html",
+            enabled: true,
+            columns: standardColumns([prev, esr]),
+            generate: genStandardReport,
+            rowData: function (extJson) {
+                let vCurrent = getExtData(extJson, "current").data;
+                if (!vCurrent)
+                    return { include: false };
+
+                let atn_max = vCurrent?.atn?.compatibility?.thunderbird?.max || "*";
+                let strict_max = getStrictMaxVersion(vCurrent);
+
+                let baseReport = reports["max-atn-value-reduced-below-max-xpi-value"].rowData(extJson);
+                let manually_lowered = baseReport.include &&
+                    compareVer(strict_max, esr) > 0 && // xpi limit > esr
+                    compareVer(atn_max, `${esr}.*`) < 0; // atn limit < esr.*
+
+                let status = gCuratedData.getStatus(extJson.id, esr);
+                let badges = [];
+                if (reportOptions.validBadges == "max-atn") {
+                    // Already includes the discontinued and contacted badges.
+                    badges.push(...(baseReport.badges || []));
+                    if (["incompatible", "compatible", "probably_compatible"].includes(status)) {
+                        badges.push({ badge: `${status}_${esr}` });
+                    }
+                } else {
+                    if (["incompatible", "unknown"].includes(status)) {
+                        badges.push({ badge: `${status}_${esr}` });
+                    }
+                    let themeExperiment = vCurrent.manifest?.theme_experiment;
+                    if (themeExperiment) {
+                        badges.push({ badge: "theme_experiment" });
+                    }
+                    if (!vCurrent.legacy && vCurrent.mext && !vCurrent.experiment && !themeExperiment) {
+                        badges.push({ badge: "pure" });
+                    }
+                    if (gCuratedData.isDiscontinued(extJson.id)) {
+                        badges.push({ badge: "discontinued" });
+                    }
+                    if (gCuratedData.isWaitingForFeedback(extJson.id)) {
+                        badges.push({ badge: "contacted" });
+                    }
                 }
-            };
-
-            return { include, badges }
-        }
-    },
-    "lost-tb68-to-tb78": {
-        group: "78",
-        header: "Extensions which have been lost from TB68 to TB78, as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v78 = getExtData(extJson, "78").version;
-            let v68 = getExtData(extJson, "68").version;
-            return { include: !!v68 && !v78 };
-        }
-    },
-    "false-positives-tb78": {
-        group: "78",
-        header: "Extensions claiming to be compatible with Thunderbird 78, but are legacy extensions or legacy WebExtensions and therefore unsupported.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let data = getExtData(extJson, "78").data;
-            return { include: !!data && data.legacy };
-        }
-    },
-    // -- 68 ------------------------------------------------------------------- -------------------
-    "atn-tb68": {
-        group: "68",
-        header: "Extensions compatible with Thunderbird 68 as seen by ATN.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let v68 = getExtData(extJson, "68").data;
-            let include = !!v68;
-            let badges = [];
+                let include = manually_lowered ||
+                    (reportOptions.validIncludesIncompatible && status == "incompatible");
+                return { include, badges };
+            }
+        };
+
+        // Legacy WebExtensions are only supported by some of the older ESR.
+        let legacyWebExtensions = !!getESR(esr)?.legacy_webextensions;
+        esrReports[`false-positives-tb${esr}`] = {
+            group: `${esr}`,
+            header: legacyWebExtensions
+                ? `Extensions claiming to be compatible with Thunderbird ${esr}, but are legacy extensions and therefore unsupported.`
+                : `Extensions claiming to be compatible with Thunderbird ${esr}, but are legacy extensions or legacy WebExtensions and therefore unsupported.`,
+            template: "report-template.html",
+            enabled: true,
+            columns: standardColumns([prev, esr]),
+            generate: genStandardReport,
+            rowData: function (extJson) {
+                let data = getExtData(extJson, esr).data;
+                return { include: !!data && data.legacy && !(legacyWebExtensions && data.mext) };
+            }
+        };
+    }
+    return esrReports;
+}
 
-            if (include) {
-                let themeExperiment = v68.manifest?.theme_experiment;
-                if (themeExperiment) {
-                    badges.push({ badge: "theme_experiment" });
-                }
-                if (!v68.legacy && v68.mext && !v68.experiment && !themeExperiment) {
-                    badges.push({ badge: "pure" });
-                }
-            };
+Object.assign(reports, genESRReports(SUPPORTED_ESR));
 
-            return { include, badges }
-        }
-    },
-    "lost-tb60-to-tb68": {
-        group: "68",
-        header: "Extensions which have been lost from TB60 to TB68, as seen by ATN.",
+// The compatibility prediction is only of interest for the newest ESR.
+{
+    let esr = SUPPORTED_ESR[SUPPORTED_ESR.length - 1];
+    let prev = SUPPORTED_ESR[SUPPORTED_ESR.length - 2];
+    reports[`predicted-tb${esr}`] = {
+        group: `${esr}`,
+        header: `Predicted compatibility with Thunderbird ${esr} of all extensions compatible with TB${prev} or TB${esr}, based on the rules in config/prediction-rules.json. A manually curated status overrides the prediction.`,
         template: "report-template.html",
         enabled: true,
+        columns: standardColumns([prev, esr]),
         generate: genStandardReport,
         rowData: function (extJson) {
-            let v68 = getExtData(extJson, "68").version;
-            let v60 = getExtData(extJson, "60").version;
-            return { include: !!v60 && !v68 };
-        }
-    },
-    "false-positives-tb68": {
-        group: "68",
-        header: "Extensions claiming to be compatible with Thunderbird 68, but are legacy extensions and therefore unsupported.",
-        template: "report-template.html",
-        enabled: true,
-        generate: genStandardReport,
-        rowData: function (extJson) {
-            let data = getExtData(extJson, "68").data;
-            return { include: !!data && data.legacy && !data.mext };
+            let include = !!getExtData(extJson, prev).version || !!getExtData(extJson, esr).version;
+            if (!include) {
+                return { include };
+            }
+            let { status, confidence, rule } = getPrediction(extJson, esr);
+            let badges = [{ badge: `${status}_${esr}` }];
+            if (rule) {
+                badges.push({ badge: `prediction.${rule} (${confidence})` });
+            }
+            return { include, badges };
         }
-    },
+    };
 }
 
 // -----------------------------------------------------------------------------
 
-function genStandardReport(extsJson, name, report) {
-    let extsListFile = fs.readFileSync(report.template, 'utf8');
-    let rows = [];
-    let stats = [];
+// Returns the version cell of the given ESR (or "current"): the version and the
+// badges of the add-on type, legacy type and Experiment APIs.
+function getVersionCell(extJson, esr) {
+    let rv = [];
+    let { version, data } = getExtData(extJson, esr);
+
+    // The tooltips list the details of the badge, one per line.
+    const addBadge = (name, lines) => rv.push(badgeRegistry.render(name, { tooltip: lines.join("\n") }));
+    // Limit long lists in the tooltips.
+    const listLines = list => [...list.slice(0, 14).map(e => ` - ${e}`), ...(list.length > 14 ? [" ..."] : [])];
+
+    if (data) {
+        if (data.mext == true && data.legacy == false) {
+            addBadge("type.MX", ["Extension Type:", " - MX : MailExtension (manifest.json)"]);
+        } else if (data.mext == true && data.legacy == true) {
+            addBadge("type.WE", ["Extension Type:", " - WE : Legacy WebExtension (manifest.json)"]);
+        } else {
+            addBadge("type.RDF", ["Extension Type:", " - RDF : Legacy Extension (install.rdf)"]);
+        }
 
-    function genStandardRow(extJson, rowData) {
-        let default_locale = extJson.default_locale;
-        if (default_locale === undefined) {
-            if (typeof extJson.name["en-US"] === 'string') {
-                default_locale = "en-US";
+        if (data.legacy == true) {
+            if (data.legacy_type == 'xul') {
+                addBadge("legacy_type.XUL", ["Legacy Type:", " - XUL : XUL overlay (requires restart)"]);
             } else {
-                let locales = Object.keys(extJson.name);
-                default_locale = extJson.name[locales[0]];
-            }
-        } else {
-            if (typeof extJson.name["en-US"] !== 'string') {
-                let locales = Object.keys(extJson.name);
-                default_locale = locales[0];
+                addBadge("legacy_type.BS", ["Legacy Type:", " - BS : Bootstrap"]);
             }
         }
 
-        const idSlug = `${extJson.id}-${extJson.slug}`;
-        const name_link = `<a id="${idSlug}" href="${extJson.url}">${extJson.name[default_locale].substr(0, 38)}</a>`;
-
-        let rank = extJson.xpilib.rank;
-        let current_version = getExtData(extJson, "current").data;
-        let v_min = current_version?.atn.compatibility.thunderbird.min || "*";
-        let v_max = current_version?.atn.compatibility.thunderbird.max || "*";
-        let v_strict_max = current_version?.manifest?.applications?.gecko?.strict_max_version ||
-            current_version?.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
-            "*";
-
-        // Helper function to return the version cell for a given ESR
-        const cv = (esr) => {
-            let rv = [];
-            let { version, data } = getExtData(extJson, esr);
+        if (data.manifest?.theme_experiment) {
+            addBadge("experiment_type.Theme", ["Theme Experiment"]);
+        }
 
-            if (version) {
-                rv.push(version);
+        if (data.experiment) {
+            let schema = data.experimentSchemaNames || [];
+            let kind = "+";
+            if (schema.includes("WindowListener")) {
+                kind = "WL";
+            } else if (schema.includes("BootstrapLoader")) {
+                kind = "BL";
             }
+            addBadge(`experiment_type.${kind}`, ["Experiment APIs:", ...listLines(schema)]);
 
-            if (data) {
-                let cBadge_type_setup = { bLeftText: 'T', bRightText: 'MX', bColor: 'purple', bTooltip: "Extension Type:" };
-                let cBadge_legacy_setup = { bLeftText: 'L', bRightText: '+', bColor: 'green', bTooltip: "Legacy Type:" };
-                let cBadge_experiment_setup = { bLeftText: 'E', bRightText: '+', bColor: 'blue', bTooltip: "Experiment APIs: " };
-
-                if (data.mext == true && data.legacy == false) {
-                    cBadge_type_setup.bRightText = "MX"
-                    cBadge_type_setup.bTooltip += "&#10; - MX : MailExtension (manifest.json)";
-                } else if (data.mext == true && data.legacy == true) {
-                    cBadge_type_setup.bRightText = "WE"
-                    cBadge_type_setup.bTooltip += "&#10; - WE : Legacy WebExtension (manifest.json)";
-                } else {
-                    cBadge_type_setup.bRightText = "RDF";
-                    cBadge_type_setup.bTooltip += "&#10; - RDF : Legacy Extension (install.rdf)";
-                }
-                rv.push(makeBadgeElement(cBadge_type_setup));
-
-                if (data.legacy == true) {
-                    if (data.legacy_type == 'xul') {
-                        cBadge_legacy_setup.bRightText = "XUL"
-                        cBadge_legacy_setup.bTooltip += "&#10; - XUL : XUL overlay (requires restart)";
-                    } else {
-                        cBadge_legacy_setup.bRightText = "BS"
-                        cBadge_legacy_setup.bTooltip += "&#10; - RS : Bootstrap";
-                    }
-                    rv.push(makeBadgeElement(cBadge_legacy_setup));
-                }
-
-                if (data.manifest?.theme_experiment) {
-                    rv.push(makeBadgeElement({ bLeftText: 'E', bRightText: 'Theme', bColor: 'blue', bTooltip: "Theme Experiment" }));
-                }
+            if (data.experimentFindings?.length > 0) {
+                addBadge(`internals.${data.experimentFindings.length}`, ["Removed or changed internals:",
+                    ...listLines(data.experimentFindings.map(finding => `${getCheck(finding.check)?.label || finding.check} (${finding.file}:${finding.line})`))]);
+            }
+        }
+    }
 
-                if (data.experiment) {
-                    if (data.experimentSchemaNames.includes("WindowListener")) {
-                        cBadge_experiment_setup.bRightText = "WL"
-                    } else if (data.experimentSchemaNames.includes("BootstrapLoader")) {
-                        cBadge_experiment_setup.bRightText = "BL"
-                    }
+    if (version) {
+        rv.unshift(escapeHTML(version));
+    }
+    return { html: rv.join("<br>") };
+}
 
-                    let schema = data.experimentSchemaNames;
-                    if (schema) {
-                        let max = Math.min(schema.length, 14);
-                        for (let index = 0; index < max; index++) {
-                            cBadge_experiment_setup.bTooltip += `&#10; - ${schema[index]}`;
-                        };
+function genStandardReport(extsJson, name, report) {
+    let columns = (report.columns || standardColumns()).map(column => {
+        if (!columnDefinitions[column]) {
+            throw new Error(`Unknown column ${column} in report ${name}`);
+        }
+        return columnDefinitions[column];
+    });
+    let rows = [];
+    // The row fields, exported as JSON and CSV.
+    let records = [];
+    let stats = [];
+    // Users of the add-ons with a given badge, shown if report.statsUsers is set.
+    let stats_users = {};
 
-                        if (data.experimentSchemaNames.length > 15) {
-                            cBadge_experiment_setup.bTooltip += "&#10; ...";
-                        }
-                    }
-                    rv.push(makeBadgeElement(cBadge_experiment_setup));
-                }
-            }
+    function genStandardRow(extJson, rowData) {
+        let current_version = getExtData(extJson, "current").data;
+        return {
+            // The badge names are used by the filter of the report page.
+            badgeNames: (rowData.badges || []).map(e => e.badge).join("|"),
+            cells: columns.map(column => {
+                let sortValue = column.sortValue?.(current_version, extJson, rowData);
+                return {
+                    ...toCell(column.value(current_version, extJson, rowData)),
+                    align: column.align || "right",
+                    style: column.style || null,
+                    sortValue: sortValue !== undefined && sortValue !== null && sortValue !== "" ? `${sortValue}` : null,
+                };
+            }),
+        };
+    }
 
-            return rv.join("<br>");
+    function genRowRecord(extJson, rowData) {
+        let current_version = getExtData(extJson, "current").data;
+        let versions = {};
+        for (let esr of SUPPORTED_ESR) {
+            versions[`tb${esr}`] = getExtData(extJson, esr).version || null;
         }
-
-        return `
-		<tr>
-		  <td style="text-align: right" valign="top">${rank}</td>
-		  <td style="text-align: right" valign="top">${extJson.id}</td>
-		  <td style="text-align: left"  valign="top">${name_link}${getAlternative(extJson) ? getAlternative(extJson).join("") : ""}</td>
-		  <td style="text-align: right" valign="top">${extJson.average_daily_users}</td>
-		  <td style="text-align: right" valign="top">${cv("60")}</td>
-		  <td style="text-align: right" valign="top">${cv("68")}</td>
-		  <td style="text-align: right" valign="top">${cv("78")}</td>
-		  <td style="text-align: right" valign="top">${cv("91")}</td>
-		  <td style="text-align: right" valign="top">${cv("102")}</td>
-		  <td style="text-align: right" valign="top">${cv("115")}</td>
-		  <td style="text-align: right" valign="top">${current_version?.atn.files[0].created.split('T')[0]}</td>
-		  <td style="text-align: right" valign="top">${cv("current")}</td>
-		  <td style="text-align: right" valign="top">${v_min}</td>
-		  <td style="text-align: right" valign="top">${v_strict_max}</td>
-		  <td style="text-align: right" valign="top">${v_max}</td>
-		  <td style="text-align: right; font-style: italic" valign="top">${rowData.badges ? rowData.badges.map(e => getBadgeElement(e.badge, e.link)).join("<br>") : ""}</td>
-		</tr>`;
+        versions.current = getExtData(extJson, "current").version || null;
+        return {
+            rank: extJson.xpilib.rank,
+            id: extJson.id,
+            guid: extJson.guid,
+            slug: extJson.slug,
+            name: getLocalizedName(extJson),
+            url: extJson.url,
+            users: extJson.average_daily_users,
+            versions,
+            last_updated: current_version?.atn.files[0].created.split('T')[0] || null,
+            min: current_version?.atn.compatibility.thunderbird.min || "*",
+            strict_max: getStrictMaxVersion(current_version),
+            atn_max: current_version?.atn.compatibility.thunderbird.max || "*",
+            badges: (rowData.badges || []).map(e => e.badge),
+        };
     }
 
     extsJson.map((extJson, index) => {
@@ -1194,7 +1192,17 @@ function genStandardReport(extsJson, name, report) {
         let rowData = report.rowData(extJson);
         if (rowData.include) {
             rows.push(genStandardRow(extJson, rowData));
-            if (rowData.badges) stats.push(...rowData.badges);
+            records.push(genRowRecord(extJson, rowData));
+            if (!gReportsByAddon.has(extJson.id)) {
+                gReportsByAddon.set(extJson.id, []);
+            }
+            gReportsByAddon.get(extJson.id).push(name);
+            if (rowData.badges) {
+                stats.push(...rowData.badges);
+                for (let badge of new Set(rowData.badges.map(e => e.badge))) {
+                    stats_users[badge] = (stats_users[badge] || 0) + (extJson.average_daily_users || 0);
+                }
+            }
         } else {
             debug('Skip ' + extJson.slug);
         }
@@ -1213,57 +1221,352 @@ function genStandardReport(extsJson, name, report) {
     }
 
     // Generate stats
-    let stats_entries = [];
-    for (let [name, count] of Object.entries(stats_counts).sort(sortStats)) {
-        stats_entries.push(`<tr><td style="text-align: right">${count}</td><td>${getBadgeElement(name)}</td></tr>`)
+    let stats_entries = Object.entries(stats_counts).sort(sortStats).map(([name, count]) => ({
+        name,
+        count,
+        users: stats_users[name],
+        badge: badgeRegistry.render(name, { link: `legend.html#badge-${badgeRegistry.resolve(name).definition.name}` }),
+    }));
+
+    let today = new Date().toISOString().split('T')[0];
+    fs.ensureDirSync(`${reportDir}`);
+    fs.writeFileSync(`${reportDir}/${name}.html`, templates.render(report.template, {
+        title: `${report.header} (${rows.length})`,
+        date: today,
+        home: "/add-on-reports/",
+        base: "",
+        columns: columns.map(column => ({ header: column.header, align: column.align || "right", sort: column.sort || "text" })),
+        rows,
+        stats: stats_entries,
+        statsUsers: !!report.statsUsers,
+    }));
+    writeReportData(reportDir, name, { header: report.header, group: report.group, date: today }, records, [
+        ...["rank", "id", "guid", "slug", "name", "url", "users"].map(key => ({ header: key, value: r => r[key] })),
+        ...[...SUPPORTED_ESR.map(esr => `tb${esr}`), "current"].map(key => ({ header: key, value: r => r.versions[key] })),
+        ...["last_updated", "min", "strict_max", "atn_max"].map(key => ({ header: key, value: r => r[key] })),
+        // Badge names may contain spaces.
+        { header: "badges", value: r => r.badges.join(";") },
+    ]);
+
+    debug('Done');
+    return rows.length;
+}
+
+// Returns the differences between the data of an add-on in the base crawl and
+// in the current crawl, as a list of badges. Either data may be missing.
+function getChangeBadges(baseJson, extJson) {
+    if (!baseJson) {
+        return [{ badge: "added" }];
     }
-    if (stats_entries.length > 0) {
-        stats_entries.unshift("<h3>Statistics</h3>", "<table class='statstable'>");
-        stats_entries.push("</table>");
+    if (!extJson) {
+        return [{ badge: "removed" }];
     }
 
+    let badges = [];
+    for (let esr of SUPPORTED_ESR) {
+        let before = getExtData(baseJson, esr).version;
+        let after = getExtData(extJson, esr).version;
+        if (!before && after) {
+            badges.push({ badge: `gained.TB${esr}` });
+        } else if (before && !after) {
+            badges.push({ badge: `lost.TB${esr}` });
+        }
+    }
 
-    extsListFile = extsListFile.replace('__header__', report.header);
-    extsListFile = extsListFile.replace('__description__', report.description);
+    let before = getExtData(baseJson, "current").data;
+    let after = getExtData(extJson, "current").data;
+    let maxBefore = before?.atn.compatibility.thunderbird.max || "*";
+    let maxAfter = after?.atn.compatibility.thunderbird.max || "*";
+    let cmp = compareVer(maxAfter, maxBefore);
+    if (cmp > 0) {
+        badges.push({ badge: `atn_max_raised.${maxBefore} → ${maxAfter}` });
+    } else if (cmp < 0) {
+        badges.push({ badge: `atn_max_reduced.${maxBefore} → ${maxAfter}` });
+    }
 
-    extsListFile = extsListFile.replace('__count__', rows.length);
-    let today = new Date().toISOString().split('T')[0];
-    extsListFile = extsListFile.replace('__date__', today);
-    extsListFile = extsListFile.replace('__table__', rows.join("\n"));
+    if (before?.experiment && after && !after.experiment && after.mext && !after.legacy) {
+        badges.push({ badge: "now_pure" });
+    }
+    return badges;
+}
 
-    extsListFile = extsListFile.replace('__stats__', stats_entries.join("\n"));
+// Generates the diff report between the crawl given by --diff-base and the
+// current crawl. Add-ons removed from ATN are listed after the current ones.
+function genDiffReport(extsJson, name, report) {
+    let baseJson = options.diffBase.endsWith(".gz")
+        ? readSnapshot(options.diffBase)
+        : fs.readJSONSync(options.diffBase);
+    let base = new Map(baseJson.map(e => [e.id, e]));
+    let current = new Set(extsJson.map(e => e.id));
+    let removed = baseJson.filter(e => !current.has(e.id));
+
+    // Removed add-ons are no longer on ATN and have no detail page, so they are
+    // not linked.
+    return genStandardReport([...extsJson, ...removed], name, {
+        ...report,
+        rowData: function (extJson) {
+            let removed = !current.has(extJson.id);
+            let badges = removed
+                ? getChangeBadges(extJson, null)
+                : getChangeBadges(base.get(extJson.id), extJson);
+            return { include: badges.length > 0, badges, removed };
+        }
+    });
+}
+
+// Generates the trends report from the archived snapshots, instead of from the
+// current master JSON file. Returns the number of snapshots.
+function genTrendsReport(extsJson, name, report) {
+    let summaries = summarizeSnapshots(options.snapshots, SUPPORTED_ESR);
+    let labels = summaries.map(s => s.date);
+    const formatNumber = n => n.toLocaleString("en-US");
+
+    // The charts are rendered as SVG by lib/chart.js.
+    let charts = [];
+    if (summaries.length > 0) {
+        charts.push(renderLineChart({
+            title: "Compatible add-ons per ESR",
+            labels,
+            series: SUPPORTED_ESR.map(esr => ({ label: `TB${esr}`, values: summaries.map(s => s.esr[esr].count) })),
+        }));
+        charts.push(renderLineChart({
+            title: "Users covered per ESR",
+            labels,
+            series: SUPPORTED_ESR.map(esr => ({ label: `TB${esr}`, values: summaries.map(s => s.esr[esr].users) })),
+        }));
+    }
+
+    // Newest snapshot first.
+    let rows = summaries.slice().reverse().map(s => ({
+        date: s.date,
+        total: formatNumber(s.total),
+        users: formatNumber(s.users),
+        esr: SUPPORTED_ESR.map(esr => ({ count: formatNumber(s.esr[esr].count), users: formatNumber(s.esr[esr].users) })),
+        added: s.added.length,
+        removed: s.removed.length,
+    }));
+
+    // List the add-ons added and removed since the previous snapshot. Removed
+    // add-ons are no longer on ATN, so they are not linked.
+    let changes = null;
+    let latest = summaries[summaries.length - 1];
+    if (latest && summaries.length > 1) {
+        let byId = new Map(extsJson.map(e => [e.id, e]));
+        const addonLink = ({ id, slug }) => ({ id, slug, url: byId.get(id)?.url || null });
+        changes = {
+            since: summaries[summaries.length - 2].date,
+            added: latest.added.map(addonLink),
+            removed: latest.removed.map(addonLink),
+        };
+    }
 
+    let today = new Date().toISOString().split('T')[0];
     fs.ensureDirSync(`${reportDir}`);
-    fs.writeFileSync(`${reportDir}/${name}.html`, extsListFile);
+    fs.writeFileSync(`${reportDir}/${name}.html`, templates.render(report.template, {
+        title: `${report.header} (${summaries.length})`,
+        date: today,
+        home: "/add-on-reports/",
+        base: "",
+        snapshots: options.snapshots,
+        charts,
+        esrs: SUPPORTED_ESR,
+        rows,
+        changes,
+    }));
+    writeReportData(reportDir, name, { header: report.header, group: report.group, date: today }, summaries, [
+        ...["date", "total", "users"].map(key => ({ header: key, value: s => s[key] })),
+        ...SUPPORTED_ESR.flatMap(esr => [
+            { header: `tb${esr}`, value: s => s.esr[esr].count },
+            { header: `tb${esr}_users`, value: s => s.esr[esr].users },
+        ]),
+        { header: "added", value: s => s.added.length },
+        { header: "removed", value: s => s.removed.length },
+    ]);
+    return summaries.length;
+}
 
-    debug('Done');
-    return rows.length;
+// Returns a table cell for the cell partial: either pre-rendered html, or a list
+// of lines, each line is a text with an optional link. The value is a text, a
+// {text, link} object, a list of them, or an {html} object.
+function toCell(value) {
+    if (value?.html !== undefined) {
+        return { html: value.html, lines: [] };
+    }
+    return {
+        html: null,
+        lines: [].concat(value ?? "").map(line => ({
+            text: "",
+            link: null,
+            anchor: null,
+            prefix: null,
+            ...(line !== null && typeof line === 'object' ? line : { text: line }),
+        })),
+    };
 }
 
-// -----------------------------------------------------------------------------
+// Returns the sections of the detail page of an add-on, as a title and a table
+// of cells. The version history is taken from the version data file of the add-on,
+// if available.
+function getAddonSections(extJson, versions) {
+    const idSlug = `${extJson.id}-${extJson.slug}`;
+    const section = (title, headers, rows, empty = "None") => ({
+        title,
+        headers,
+        rows: rows.map(row => row.map(toCell)),
+        empty,
+    });
+
+    let sections = [];
+    let current = getExtData(extJson, "current");
+
+    let curated = gCuratedData.get(extJson.id);
+    sections.push(section("Summary", ["Property", "Value"], [
+        ["Id", extJson.id],
+        ["GUID", extJson.guid],
+        ["Name", getLocalizedName(extJson)],
+        ["ATN", { text: extJson.url, link: extJson.url }],
+        ["Users", extJson.average_daily_users],
+        ["Current version", current.version],
+        ["Last updated", current.data?.atn.files[0].created.split('T')[0]],
+        ["Curated status", curated
+            ? [
+                ...Object.entries(curated.status || {}).map(([esr, status]) => `TB${esr}: ${status}`),
+                ...(curated.discontinued ? ["discontinued"] : []),
+                ...(curated.waiting_for_feedback ? ["waiting for feedback"] : []),
+                ...(curated.last_contact ? [`last contact: ${curated.last_contact}`] : []),
+                ...(curated.notes || []),
+            ]
+            : "none"],
+        ["Alternatives", getAlternative(extJson)
+            ? getAlternative(extJson).map(a => ({ text: a.name, link: a.link }))
+            : "none"],
+    ]));
+
+    sections.push(section("Compatible versions", ["ESR", "Version", "Min (ATN)", "Max (ATN)", "Max (XPI)", "Type"],
+        [...SUPPORTED_ESR, "current"].map(esr => {
+            let { version, data } = getExtData(extJson, esr);
+            let type = "";
+            if (data) {
+                type = data.mext
+                    ? (data.legacy ? "Legacy WebExtension" : "MailExtension")
+                    : `Legacy Extension (${data.legacy_type})`;
+            }
+            return [
+                esr == "current" ? "Current" : `TB${esr}`,
+                version,
+                data?.atn.compatibility.thunderbird.min,
+                data?.atn.compatibility.thunderbird.max,
+                data ? getStrictMaxVersion(data) : "",
+                type,
+            ];
+        })));
+
+    let cmp_data = extJson.xpilib?.cmp_data || {};
+    sections.push(section("Version history", ["Version", "Released", "Min (ATN)", "Max (ATN)", "Size", "Compatible version of"],
+        (versions || []).map(v => [
+            { text: v.version, link: v.url },
+            v.files?.[0]?.created.split('T')[0],
+            v.compatibility.thunderbird?.min,
+            v.compatibility.thunderbird?.max,
+            formatSize(v.files?.[0]?.size),
+            Object.keys(cmp_data).filter(esr => cmp_data[esr] == v.version).map(esr => esr == "current" ? "Current" : `TB${esr}`).join(", "),
+        ]),
+        "No version data available."));
+
+    let data = current.data;
+    if (data?.manifest) {
+        let manifest = data.manifest;
+        let gecko = manifest.browser_specific_settings?.gecko || manifest.applications?.gecko || {};
+        sections.push(section("Manifest", ["Property", "Value"], [
+            ["manifest_version", manifest.manifest_version],
+            ["name", manifest.name],
+            ["version", manifest.version],
+            ["gecko.id", gecko.id],
+            ["gecko.strict_min_version", gecko.strict_min_version],
+            ["gecko.strict_max_version", gecko.strict_max_version],
+            ["default_locale", manifest.default_locale],
+            ["Problems", (data.manifestProblems || []).map(p => p.message)],
+        ]));
+    } else if (data?.installRDF) {
+        let installRDF = data.installRDF;
+        sections.push(section("install.rdf", ["Property", "Value"], [
+            ["id", installRDF.id],
+            ["version", installRDF.version],
+            ["bootstrap", `${installRDF.bootstrap}`],
+            ["targetApplication", installRDF.targetApplications.map(t => `${t.name || t.id}: ${t.minVersion} - ${t.maxVersion}`)],
+        ]));
+    }
 
-function debug(...args) {
-    if (debugLevel > 0) {
-        console.debug(...args);
+    if (data?.experiment) {
+        sections.push(section("Experiments", ["Schema names", "Removed or changed internals"], [[
+            data.experimentSchemaNames,
+            (data.experimentFindings || []).map(f => `${getCheck(f.check)?.label || f.check} (${f.file}:${f.line})`),
+        ]]));
     }
+
+    let analysis = analyzePermissions(data?.manifest);
+    if (analysis) {
+        let changes = extJson.xpilib?.permission_changes;
+        let changeLines = changes
+            ? [
+                ...changes.added_permissions.map(p => `+ ${p}`),
+                ...changes.added_hosts.map(h => `+ ${h}`),
+                ...changes.added_experiment_apis.map(a => `+ ${a}`),
+                ...changes.removed_permissions.map(p => `- ${p}`),
+                ...changes.removed_hosts.map(h => `- ${h}`),
+                ...changes.removed_experiment_apis.map(a => `- ${a}`),
+            ]
+            : [];
+        sections.push(section("Permissions", ["Property", "Value"], [
+            ["Risk", `${analysis.score} (${analysis.level})`],
+            ["API permissions", analysis.api],
+            ["Host permissions", analysis.host],
+            ["Optional permissions", [...analysis.optional_api, ...analysis.optional_host]],
+            ["Content scripts", analysis.content_scripts],
+            ["Changes", changes
+                ? [`${changes.from} → ${changes.to}:`, ...(changeLines.length > 0 ? changeLines : ["no changes"])]
+                : ""],
+        ]));
+    }
+
+    sections.push(section("Reports", ["Report", "Description"],
+        (gReportsByAddon.get(extJson.id) || []).map(name => [
+            { text: name, link: `../${name}.html#${idSlug}` },
+            reports[name].header,
+        ])));
+
+    return sections;
 }
 
-function getBadgeElement(badgeName, bLink) {
-    // manipulate bRightText to reuse base bage
-    let badgeParts = badgeName.split(".");
-    let badgeOpt = badge_definitions[badgeName];
-    if (!badgeOpt && Array.isArray(badgeParts) && badge_definitions[badgeParts[0]]) {
-        badgeOpt = badge_definitions[badgeParts[0]];
-        badgeOpt.bRightText = badgeParts.slice(1).join(".");
+// Generates the detail page of each add-on as addon/<id>-<slug>.html. Must be
+// called after all reports have been built, as the pages list the reports which
+// include the add-on.
+function genAddonPages(extsJson) {
+    let versionDataDir = path.join(path.dirname(extsAllJsonFileName), "versiondata");
+    let today = new Date().toISOString().split('T')[0];
+
+    fs.ensureDirSync(`${reportDir}/addon`);
+    for (let extJson of extsJson) {
+        const idSlug = `${extJson.id}-${extJson.slug}`;
+        let versionsFile = path.join(versionDataDir, `${idSlug}.json`);
+        let versions = fs.existsSync(versionsFile) ? fs.readJSONSync(versionsFile) : null;
+
+        fs.writeFileSync(`${reportDir}/addon/${idSlug}.html`, templates.render("addon-template.html", {
+            title: getLocalizedName(extJson),
+            date: today,
+            home: "../index.html",
+            base: "../",
+            sections: getAddonSections(extJson, versions),
+        }));
     }
-    return makeBadgeElement(badgeOpt, bLink);
 }
 
-function makeBadgeElement(bOpt, bLink) {
-    let title = bOpt.bTooltip ? `title='${bOpt.bTooltip}'` : ``;
+// -----------------------------------------------------------------------------
 
-    let tag = `<img src='https://img.shields.io/badge/${bOpt.bLeftText}-${bOpt.bRightText}-${bOpt.bColor}.svg' ${title}>`
-    return bLink ? `<a href="${bLink}">${tag}</a>` : tag;
+function debug(...args) {
+    if (debugLevel > 0) {
+        console.debug(...args);
+    }
 }
 
 // A versioncompare, taken from https://jsfiddle.net/vanowm/p7uvtbor/
@@ -1304,6 +1607,111 @@ function getAllData(extJson) {
     return data;
 }
 
+// Returns the badges for the permissions of the given manifest: one badge per API
+// permission and optional API permission, and one badge per scope of the host
+// permissions (instead of one per host).
+function getPermissionBadges(manifest) {
+    let analysis = analyzePermissions(manifest);
+    if (!analysis) {
+        return [];
+    }
+
+    const hostScopes = { all: "All Hosts", wildcard: "Wildcard Hosts", specific: "Specific Hosts" };
+    let badges = analysis.api.map(p => ({ badge: `permission.${p}` }));
+    for (let scope of new Set(analysis.host.map(getHostScope))) {
+        badges.push({ badge: `host.${hostScopes[scope]}` });
+    }
+    badges.push(...analysis.optional_api.map(p => ({ badge: `optional.${p}` })));
+    if (analysis.optional_host.length > 0) {
+        badges.push({ badge: "optional.Host Permissions" });
+    }
+    if (analysis.content_scripts.length > 0) {
+        badges.push({ badge: "permission.content_scripts" });
+    }
+    if (analysis.web_accessible_resources > 0) {
+        badges.push({ badge: "permission.web_accessible_resources" });
+    }
+    if (analysis.experiment) {
+        badges.push({ badge: "experiment" });
+    }
+    return badges;
+}
+
+// Returns the name of the add-on on ATN in its default locale, falling back to
+// en-US and then to any available locale.
+function getLocalizedName(extJson) {
+    let name = extJson.name;
+    if (typeof name === 'string') {
+        return name;
+    }
+    for (let locale of [extJson.default_locale, "en-US"]) {
+        if (locale && typeof name?.[locale] === 'string') {
+            return name[locale];
+        }
+    }
+    return Object.values(name || {}).find(n => typeof n === 'string') || extJson.slug;
+}
+
+function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return "";
+    }
+    return bytes < 1024 * 1024
+        ? `${(bytes / 1024).toFixed(1)} KB`
+        : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Returns the strict_max_version of the manifest of the given xpilib data, or
+// the maxVersion of the Thunderbird targetApplication of legacy add-ons.
+function getStrictMaxVersion(data) {
+    return data?.manifest?.applications?.gecko?.strict_max_version ||
+        data?.manifest?.browser_specific_settings?.gecko?.strict_max_version ||
+        getThunderbirdTarget(data?.installRDF)?.maxVersion ||
+        "*";
+}
+
+// Returns the badge of the manually curated compatibility status of the add-on
+// for the given ESR (e.g. "incompatible_115"), or null.
+function getCuratedCompatibility(extJson, esr) {
+    let status = gCuratedData.getStatus(extJson.id, esr);
+    return status ? `${status}_${esr}` : null;
+}
+
+// Returns the facts about the add-on, which are matched against the prediction
+// rules. Uses the version compatible with the ESR, or the current version.
+function getPredictionFacts(extJson, esr) {
+    let esrData = getExtData(extJson, esr).data;
+    let data = esrData || getExtData(extJson, "current").data;
+    if (!data) {
+        return null;
+    }
+    let strictMax = getStrictMaxVersion(data);
+    return {
+        esr: parseInt(esr, 10),
+        legacy: !!data.legacy || !data.mext,
+        legacy_webextensions: !!getESR(esr)?.legacy_webextensions,
+        experiment: !!data.experiment,
+        atn_compatible: !!esrData,
+        strict_max_below_esr: strictMax != "*" && compareVer(strictMax, esr) < 0,
+        manifest_keys: Object.keys(data.manifest || {}),
+        experiment_schemas: data.experimentSchemaNames || [],
+        findings: (data.experimentFindings || []).map(f => f.check),
+    };
+}
+
+// Returns the predicted compatibility {status, confidence, rule} of the add-on
+// with the given ESR. The manually curated status overrides the prediction.
+function getPrediction(extJson, esr) {
+    let status = gCuratedData.getStatus(extJson.id, esr);
+    if (status) {
+        return { status, confidence: 1, rule: "curated" };
+    }
+    let facts = getPredictionFacts(extJson, esr);
+    return facts
+        ? predict(gPredictionRules, facts)
+        : { status: "unknown", confidence: 0, rule: null };
+}
+
 // Returns the special xpilib object for the given ESR (or current).
 function getExtData(extJson, esr) {
     let cmp_data = extJson?.xpilib?.cmp_data;
@@ -1319,8 +1727,11 @@ function getExtData(extJson, esr) {
     return { version, data };
 }
 
-async function loadAlternativeData() {
-    return bentGetTEXT("https://raw.githubusercontent.com/thundernest/extension-finder/master/data.yaml").then(alternativeDataToLinks);
+async function loadAlternativeData(source) {
+    let data = /^https?:\/\//.test(source)
+        ? await bentGetTEXT(source)
+        : fs.readFileSync(source, 'utf8');
+    return alternativeDataToLinks(data);
 }
 
 async function alternativeDataToLinks(data) {
@@ -1356,10 +1767,7 @@ async function alternativeDataToLinks(data) {
             if (!entries[entry.u_id]) {
                 entries[entry.u_id] = [];
             }
-            if (entry.r_link)
-                entries[entry.u_id].push(`<br> &#8627; <a href="${entry.r_link}">${entry.r_name}</a>`);
-            else
-                entries[entry.u_id].push(`<br> &#8627; ${entry.r_name}`);
+            entries[entry.u_id].push({ name: entry.r_name, link: entry.r_link || null });
 
         }
     } while (i < lines.length);
@@ -1373,33 +1781,129 @@ function getAlternative(extJson) {
 
 // -----------------------------------------------------------------------------
 
-function genIndex(index) {
-    let extsListFile = fs.readFileSync("index-template.html", 'utf8');
+// Writes index.html and index.json, which lists all reports by group together
+// with their files and counts.
+function genIndex(indexGroups) {
     let today = new Date().toISOString().split('T')[0];
-    extsListFile = extsListFile.replace('__date__', today);
-    extsListFile = extsListFile.replace('__index__', index.join(""));
     fs.ensureDirSync(`${reportDir}`);
-    fs.writeFileSync(`${reportDir}/index.html`, extsListFile);
+    fs.writeFileSync(`${reportDir}/index.html`, templates.render("index-template.html", {
+        title: "Thunderbird Add-on Database Analysis",
+        date: today,
+        home: null,
+        base: "",
+        groups: indexGroups,
+    }));
+    fs.writeJSONSync(`${reportDir}/index.json`, { date: today, groups: indexGroups }, { spaces: 4 });
 }
 
-async function main() {
-    console.log("Downloading alternative add-ons data...");
-    gAlternativeData = await loadAlternativeData();
+// Writes legend.html, which explains all badges by category. The Statistics
+// sections of the reports link to it.
+function genLegend() {
+    let definitions = badgeRegistry.list();
+    fs.ensureDirSync(`${reportDir}`);
+    fs.writeFileSync(`${reportDir}/legend.html`, templates.render("legend-template.html", {
+        title: "Badges used in the Reports",
+        date: new Date().toISOString().split('T')[0],
+        home: "/add-on-reports/",
+        base: "",
+        categories: Object.entries(BADGE_CATEGORIES).map(([id, header]) => ({
+            id,
+            header,
+            badges: definitions.filter(d => d.category == id).map(d => ({
+                name: d.name,
+                usage: d.kind == "flag" ? d.name : `${d.name}.<value>`,
+                example: badgeRegistry.renderExample(d.name),
+                description: d.description,
+                docs: d.docs || null,
+            })),
+        })).filter(category => category.badges.length > 0),
+    }));
+}
 
-    console.log('Generating reports...');
-    let extsJson = fs.readJSONSync(extsAllJsonFileName);
-    let index = [];
+function listReports() {
     for (let group of groups) {
-        index.push(`<h1><a name="group${group.id}"></a>${group.header}</h1>`);
+        console.log(`${group.id}: ${group.header}`);
         for (let [name, report] of Object.entries(reports)) {
-            if (report.enabled && report.group == group.id) {
-                console.log("  -> " + name);
-                let counts = report.generate(extsJson, name, report);
-                index.push(`<p><a href="${name}.html">${name}</a> (${counts})</p><blockquote><p>${report.header}</p></blockquote>`);
+            if (report.group == group.id) {
+                console.log(`  ${name}${report.enabled ? "" : " (disabled)"}`);
+                console.log(`      ${report.header}`);
             }
         }
     }
-    genIndex(index);
+}
+
+// Check the requested reports and groups, and return a function to test if a
+// report should be built.
+function getReportFilter() {
+    for (let name of options.reports || []) {
+        if (!reports[name]) {
+            exitWithUsage(`Unknown report: ${name} (use --list to see all reports)`);
+        }
+    }
+    for (let id of options.groups || []) {
+        if (!groups.some(g => g.id == id)) {
+            exitWithUsage(`Unknown group: ${id} (use --list to see all groups)`);
+        }
+    }
+    if ((options.reports || []).includes("diff") && !options.diffBase) {
+        exitWithUsage("The diff report requires --diff-base");
+    }
+
+    if (!options.reports && !options.groups) {
+        return (name, report) => report.enabled;
+    }
+    // Explicitly requested reports are built, even if disabled.
+    return (name, report) =>
+        (options.reports || []).includes(name) ||
+        (report.enabled && (options.groups || []).includes(report.group));
+}
+
+async function main() {
+    if (options.list) {
+        listReports();
+        return;
+    }
+    let isSelected = getReportFilter();
+
+    console.log(`Loading alternative add-ons data from ${options.alternatives} ...`);
+    gAlternativeData = await loadAlternativeData(options.alternatives);
+
+    let extsJson = fs.readJSONSync(extsAllJsonFileName);
+
+    console.log(`Loading curated compatibility data from ${options.curated} ...`);
+    try {
+        gCuratedData = loadCuratedData(options.curated, extsJson, options.allowUnknownCurated);
+        gPredictionRules = loadRules(options.rules);
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Generating reports...');
+    genLegend();
+    let indexGroups = [];
+    for (let group of groups) {
+        let groupReports = Object.entries(reports).filter(([name, report]) => report.group == group.id && isSelected(name, report));
+        if (groupReports.length == 0) {
+            continue;
+        }
+        let indexGroup = { id: group.id, header: group.header, reports: [] };
+        indexGroups.push(indexGroup);
+        for (let [name, report] of groupReports) {
+            console.log("  -> " + name);
+            let counts = report.generate(extsJson, name, report);
+            indexGroup.reports.push({ name, header: report.header, count: counts, html: `${name}.html`, json: `${name}.json`, csv: `${name}.csv` });
+        }
+    }
+
+    if (options.reports || options.groups) {
+        console.log("Not all reports have been built, skipping index.");
+    } else {
+        genIndex(indexGroups);
+        console.log('Generating add-on detail pages...');
+        genAddonPages(extsJson);
+    }
 }
 
 main();
@@ -7,12 +7,127 @@
  * and will download its sources and extract information for later analysis.
  */
 
+const { parseArgs } = require('util');
+const { SUPPORTED_ESR: CONFIGURED_ESR } = require('./lib/esr.js');
+
+const usage = `Usage: node get_addon_data.js [options]
+
+Options:
+  --only <id|guid|slug,...>  Only refresh the given add-ons and merge them into
+                             the existing master JSON file.
+  --max-pages <n>            Only request the first n search pages and merge them
+                             into the existing master JSON file (default: 0,
+                             which requests all pages).
+  --esr <version,...>        The ESR versions to check, as configured in
+                             config/esr.json (default: ${CONFIGURED_ESR.join(",")}).
+                             The data of the other ESR is taken from the
+                             previous run.
+  --data-dir <dir>           Directory for the collected data (default: data).
+  --atn-url <url>            Base URL of the ATN API (default: $ATN_API_URL or
+                             https://addons.thunderbird.net/api/v4).
+  --full                     Re-process all add-ons, even if unchanged since the
+                             last run.
+  --parallel <n>             Number of add-ons processed in parallel (default: 4).
+  --max-in-flight <n>        Max number of parallel ATN requests (default: 4).
+  --rate <n>                 Max number of ATN requests per second (default: 5).
+  --skip-download            Do not download XPIs, only use already downloaded files.
+  --skip-snapshot            Do not archive a dated snapshot of the master JSON
+                             file in <data-dir>/snapshots (always skipped with
+                             --only, --max-pages or --esr).
+  --dry-run                  Only list the add-ons, which would be processed.
+  -v, --verbose              Enable verbose debug logging.
+  -h, --help                 Show this help.
+`;
+
+function parseCommandLine() {
+	let values;
+	try {
+		({ values } = parseArgs({
+			options: {
+				"only": { type: "string" },
+				"max-pages": { type: "string", default: "0" },
+				"esr": { type: "string", default: CONFIGURED_ESR.join(",") },
+				"data-dir": { type: "string", default: "data" },
+				"atn-url": { type: "string", default: process.env.ATN_API_URL || "https://addons.thunderbird.net/api/v4" },
+				"full": { type: "boolean", default: false },
+				"parallel": { type: "string", default: "4" },
+				"max-in-flight": { type: "string", default: "4" },
+				"rate": { type: "string", default: "5" },
+				"skip-download": { type: "boolean", default: false },
+				"skip-snapshot": { type: "boolean", default: false },
+				"dry-run": { type: "boolean", default: false },
+				"verbose": { type: "boolean", short: "v", default: false },
+				"help": { type: "boolean", short: "h", default: false },
+			},
+		}));
+	} catch (err) {
+		exitWithUsage(err.message);
+	}
+
+	if (values.help) {
+		console.log(usage);
+		process.exit(0);
+	}
+
+	const toNumber = (name, min) => {
+		let value = Number(values[name]);
+		if (!Number.isInteger(value) || value < min) {
+			exitWithUsage(`Invalid value for --${name}: ${values[name]}`);
+		}
+		return value;
+	}
+	const toList = value => value.split(",").map(e => e.trim()).filter(Boolean);
+
+	let esr = toList(values.esr).map(Number);
+	if (esr.length == 0 || esr.some(e => !CONFIGURED_ESR.includes(e))) {
+		exitWithUsage(`Invalid value for --esr: ${values.esr} (configured ESR: ${CONFIGURED_ESR.join(",")})`);
+	}
+	let only = values.only !== undefined ? toList(values.only) : null;
+	if (only && only.length == 0) {
+		exitWithUsage("Missing add-ons for --only");
+	}
+
+	return {
+		only,
+		esr: esr.sort((a, b) => a - b),
+		maxPages: toNumber("max-pages", 0),
+		dataDir: values["data-dir"],
+		atnURL: values["atn-url"].replace(/\/+$/, ""),
+		full: values.full,
+		parallel: toNumber("parallel", 1),
+		maxInFlight: toNumber("max-in-flight", 0),
+		rate: toNumber("rate", 0),
+		skipDownload: values["skip-download"],
+		skipSnapshot: values["skip-snapshot"],
+		dryRun: values["dry-run"],
+		verbose: values.verbose,
+	};
+}
+
+function exitWithUsage(msg) {
+	console.error(`${msg}\n\n${usage}`);
+	process.exit(1);
+}
+
+const options = parseCommandLine();
+
 // Define which ESR are supported.
-const SUPPORTED_ESR = [60, 68, 78, 91, 102, 115];
+const SUPPORTED_ESR = options.esr;
 // Debug logging (0 - errors and basic logs only, 1 - verbose debug)
-const debugLevel = 1;
+const debugLevel = options.verbose ? 1 : 0;
 // Debug option to speed up processing.
-const maxNumberOfAddonPages = 0;
+const maxNumberOfAddonPages = options.maxPages;
+// Only re-process add-ons which have been changed on ATN since the last run.
+// Falls back to a full crawl, if there is no master JSON file from a previous run.
+const incrementalSync = !options.full;
+// Format version of the data stored in xpilib. Increase it whenever the extracted
+// data changes, to enforce re-processing of all add-ons during incremental sync.
+const XPILIB_FORMAT = 12;
+// Number of add-ons which are processed in parallel.
+const maxParallelAddons = options.parallel;
+// Global limits for ATN requests and XPI downloads (0 - unlimited).
+const maxRequestsInFlight = options.maxInFlight;
+const maxRequestsPerSecond = options.rate;
 
 // replacement for deprecated request
 const bent = require('bent');
@@ -22,7 +137,14 @@ const fs = require('fs-extra');
 const download = require('download');
 const path = require('path');
 const extract = require('extract-zip')
-const convert = require('xml-js');
+const { createLimiter, mapPool } = require('./lib/limiter.js');
+const { writeSnapshot } = require('./lib/snapshots.js');
+const { scanExperiments } = require('./lib/experiment_scanner.js');
+const { validateManifest } = require('./lib/manifest_validator.js');
+const { parseInstallRDF } = require('./lib/install_rdf.js');
+const { getInventory } = require('./lib/xpi_inventory.js');
+const { getLocaleInfo } = require('./lib/locales.js');
+const { comparePermissions } = require('./lib/permissions.js');
 
 const {
 	parse,
@@ -30,10 +152,20 @@ const {
 	assign
 } = require('comment-json');
 
-const rootDir = "data";
+const rootDir = options.dataDir;
 const downloadDir = 'downloads';
+// Do not use original filename, as it could be too long for the fs and truncated.
+const xpiFileName = "ext.xpi";
 const extsAllJsonFileName = `${rootDir}/xall.json`;
 const extsAllLogFileName = `log.json`;
+// Base URL of the ATN API, can be pointed to atn_fixture_server.js for tests.
+const atnApiURL = options.atnURL;
+
+// Shared by all requests to ATN, including XPI downloads.
+const requestLimiter = createLimiter({
+	maxInFlight: maxRequestsInFlight,
+	maxPerSecond: maxRequestsPerSecond,
+});
 
 function debug(...args) {
 	if (debugLevel > 0) {
@@ -48,24 +180,6 @@ function fileUnzip(source, options) {
 	});
 }
 
-// cleidigh - Utility to get install.rdf values
-function rdfGetValue(file, valuePath) {
-
-	var xml = fs.readFileSync(file, 'utf8');
-	var options = { ignoreComment: true, alwaysChildren: true, compact: true };
-	var result = convert.xml2js(xml, options);
-
-	var rdfXMLPath = 'result.RDF.' + valuePath + '._text';
-	try {
-		if (eval(rdfXMLPath) === undefined || eval(rdfXMLPath) === null) {
-			return null;
-		}
-	} catch (error) {
-		return null;
-	}
-	return eval(rdfXMLPath);
-}
-
 async function writePrettyJSONFile(f, json) {
 	try {
 		return await fs.outputFile(f, JSON.stringify(json, null, 4));
@@ -79,15 +193,15 @@ async function requestATN(addon_id, query_type, options) {
 	let url;
 	switch (query_type) {
 		case "details":
-			url = `https://addons.thunderbird.net/api/v4/addons/addon/${addon_id}`;
+			url = `${atnApiURL}/addons/addon/${addon_id}`;
 			break;
 
 		case "versions":
-			url = `https://addons.thunderbird.net/api/v4/addons/addon/${addon_id}/versions/`;
+			url = `${atnApiURL}/addons/addon/${addon_id}/versions/`;
 			break;
 
 		case "search":
-			url = "https://addons.thunderbird.net/api/v4/addons/search/";
+			url = `${atnApiURL}/addons/search/`;
 			break;
 
 		default:
@@ -102,26 +216,32 @@ async function requestATN(addon_id, query_type, options) {
 		url = url + "?" + opts.join("&");
 	}
 
-	// Retry on error, using a hard timeout enforced from the client side.
+	// Retry on error, using a hard timeout enforced from the client side. Do not
+	// retry if the requested add-on does not exist.
 	let rv;
-	for (let i = 0; (!rv && i < 5); i++) {
+	let notFound = false;
+	for (let i = 0; (!rv && !notFound && i < 5); i++) {
 		if (i > 0) {
 			console.error("Retry", i);
 			await new Promise(resolve => setTimeout(resolve, 5000));
 		}
 
-		let killTimer;
-		let killSwitch = new Promise((resolve, reject) => { killTimer = setTimeout(reject, 15000, "HardTimeout"); })
-		rv = await Promise
-			.race([bentGetJSON(url), killSwitch])
-			.catch(err => {
-				console.error('Error in ATN request', addon_id || query_type, err);
-				return null;
-			});
-
-		// node will continue to "wait" after the script finished, if we do not
-		// clear the timeouts.
-		clearTimeout(killTimer);
+		rv = await requestLimiter.schedule(async () => {
+			let killTimer;
+			let killSwitch = new Promise((resolve, reject) => { killTimer = setTimeout(reject, 15000, "HardTimeout"); })
+			let result = await Promise
+				.race([bentGetJSON(url), killSwitch])
+				.catch(err => {
+					console.error('Error in ATN request', addon_id || query_type, err);
+					notFound = err?.statusCode == 404;
+					return null;
+				});
+
+			// node will continue to "wait" after the script finished, if we do not
+			// clear the timeouts.
+			clearTimeout(killTimer);
+			return result;
+		});
 	}
 	return rv;
 }
@@ -137,11 +257,44 @@ function isCompatible(esr, min, max) {
 }
 
 async function downloadURL(url, destFile) {
-	fs.writeFileSync(`${destFile}`, await download(url));
-	debug('done!');
+	fs.writeFileSync(`${destFile}`, await requestLimiter.schedule(() => download(url)));
+	debug(`Downloaded ${destFile}`);
+}
+
+// Download and extract the XPI of the given version (an entry of the ATN version
+// history), if not done already. Returns the folder of the version, or null if
+// the XPI is missing and downloads are disabled.
+async function getXPISources(extRootName, version, addon_identifier) {
+	// Use id instead of version, as version could be not save for filesystem.
+	const extRootDir = `${rootDir}/${downloadDir}/${extRootName}/${version.id}`;
+	const xpiFileURL = version.files[0].url;
+
+	// Skip download if it exists already
+	if (!fs.existsSync(`${extRootDir}/xpi/${xpiFileName}`)) {
+		if (options.skipDownload) {
+			console.log(`    Skipping missing XPI of ${addon_identifier} version ${version.version}, downloads are disabled`);
+			return null;
+		}
+		debug(`Downloading to ${extRootDir}/xpi/${xpiFileName}`);
+		fs.ensureDirSync(`${extRootDir}/xpi`);
+		await downloadURL(xpiFileURL, `${extRootDir}/xpi/${xpiFileName}`);
+	}
+
+	// Extract XPI.
+	if (!fs.existsSync(`${extRootDir}/src`) || fs.readdirSync(`${extRootDir}/src`).length === 0) {
+		//fs.removeSync(`${extRootDir}/src`);
+		try {
+			await fileUnzip(path.resolve(`${extRootDir}/xpi/${xpiFileName}`), { dir: path.resolve(`${extRootDir}/src`) });
+		} catch (e) {
+			// Remove the broken XPI, so it is downloaded again by the next run.
+			fs.removeSync(extRootDir);
+			throw e;
+		}
+	}
+	return extRootDir;
 }
 
-async function getExtensionFiles(extension) {
+async function getExtensionFiles(extension, previous) {
 	const addon_identifier = extension.guid;
 	const extRootName = `${extension.id}-${extension.slug}`;
 
@@ -152,7 +305,7 @@ async function getExtensionFiles(extension) {
 		let r = null;
 		do {
 			qs.page++;
-			debug('    Requesting version page: ' + qs.page);
+			debug(`    Requesting version page ${qs.page} for ${addon_identifier}`);
 			r = await requestATN(addon_identifier, 'versions', qs);
 			if (r && r.results) {
 				// Note: r.results is an array of results, not a single result
@@ -165,7 +318,7 @@ async function getExtensionFiles(extension) {
 		await writePrettyJSONFile(versionsFile, ext_versions);
 
 		// Extract compat information of supported ESR
-		esr_data = {}; // ext version data for each supported ESR
+		let esr_data = {}; // ext version data for each supported ESR
 		for (let result of ext_versions) {
 			if (!result.compatibility.thunderbird)
 				continue;
@@ -213,23 +366,19 @@ async function getExtensionFiles(extension) {
 				experiment: false,
 			};
 
-			// Download the XPI (use id instead of version, as version could be not save for filesystem)
-			const extRootDir = `${rootDir}/${downloadDir}/${extRootName}/${esr_data[ESR].id}`;
-			const xpiFileURL = esr_data[ESR].files[0].url;
-			// Do not use original filename, as it could be too long for the fs and truncated.
-			const xpiFileName = "ext.xpi";
-
-			// Skip download if it exists already
-			if (!fs.existsSync(`${extRootDir}/xpi/${xpiFileName}`)) {
-				debug(`Downloading to ${extRootDir}/xpi/${xpiFileName}`);
-				fs.ensureDirSync(`${extRootDir}/xpi`);
-				await downloadURL(xpiFileURL, `${extRootDir}/xpi/${xpiFileName}`);
+			const extRootDir = await getXPISources(extRootName, esr_data[ESR], addon_identifier);
+			if (!extRootDir) {
+				// Keep the data of the previous run, if the XPI could not be downloaded
+				// or extracted.
+				if (previous?.xpilib?.format == XPILIB_FORMAT && previous.xpilib.ext_data?.[ext_version]) {
+					ext_data[ext_version] = previous.xpilib.ext_data[ext_version];
+				}
+				continue;
 			}
 
-			// Extract XPI.
-			if (!fs.existsSync(`${extRootDir}/src`) || fs.readdirSync(`${extRootDir}/src`).length === 0) {
-				//fs.removeSync(`${extRootDir}/src`);
-				await fileUnzip(path.resolve(`${extRootDir}/xpi/${xpiFileName}`), { dir: path.resolve(`${extRootDir}/src`) });
+			// File count, sizes and file types of the XPI.
+			if (fs.existsSync(`${extRootDir}/src`)) {
+				data.inventory = getInventory(`${extRootDir}/xpi/${xpiFileName}`, `${extRootDir}/src`);
 			}
 
 			// Try to read the manifest.json.
@@ -240,6 +389,8 @@ async function getExtensionFiles(extension) {
 				// We have a manifest, so we consider this a WebExtension.
 				data.mext = true;
 				data.manifest = manifestJson;
+				data.manifestProblems = validateManifest(manifestJson);
+				data.locales = getLocaleInfo(`${extRootDir}/src`, manifestJson);
 
 				// check legacy
 				if (manifestJson.legacy) {
@@ -252,16 +403,18 @@ async function getExtensionFiles(extension) {
 					let exp_apis = manifestJson.experiment_apis;
 					data.experiment = true;
 					data.experimentSchemaNames = Object.keys(exp_apis);
+					// Usage of removed or changed Thunderbird internals.
+					data.experimentFindings = scanExperiments(`${extRootDir}/src`, manifestJson);
 				}
 			} else if (fs.existsSync(`${extRootDir}/src/install.rdf`)) {
 				data.legacy = true;
-				const installRDFExtType = rdfGetValue(`${extRootDir}/src/install.rdf`, 'Description[\"em:type\"]');
-				const installRDFExtBootstrap = rdfGetValue(`${extRootDir}/src/install.rdf`, 'Description[\"em:bootstrap\"]');
-				if (installRDFExtType === 2 && installRDFExtBootstrap) {
-					data.legacy_type = 'bootstrap';
-				} else {
-					data.legacy_type = 'xul';
+				try {
+					data.installRDF = parseInstallRDF(fs.readFileSync(`${extRootDir}/src/install.rdf`, 'utf8'));
+				} catch (e) {
+					console.error(`Error in getExtensionFiles() for ${extension.slug}, failed to parse install.rdf`, e.message);
+					data.installRDF = null;
 				}
+				data.legacy_type = data.installRDF?.bootstrap ? 'bootstrap' : 'xul';
 			} else {
 				console.error(`Error in getExtensionFiles() for ${extension.slug}, no manifest.json and no index.rdf found.`)
 				continue;
@@ -269,28 +422,41 @@ async function getExtensionFiles(extension) {
 			ext_data[ext_version] = data;
 		}
 
-		// Remove properties, which are probably not needed for analysis.
-		// Note: current_version is cloned into xpilib.
-		const not_needed_properties = [
-			"current_version",
-			"authors",
-			"categories",
-			"description",
-			"developer_comments",
-			"homepage",
-			"previews",
-			"summary",
-			"ratings",
-			"tags",
-		];
-		for (let p of not_needed_properties) {
-			delete extension[p];
+		// Compare the permissions of the current version with the previous version.
+		let permission_changes = null;
+		let currentIndex = ext_versions.findIndex(v => v.version == extension.current_version.version);
+		let previous_version = currentIndex >= 0
+			? ext_versions.slice(currentIndex + 1).find(v => v.compatibility.thunderbird && v.files?.length > 0)
+			: null;
+		let current_manifest = ext_data[cmp_data.current]?.manifest;
+		if (previous_version && current_manifest) {
+			let previous_manifest = ext_data[previous_version.version]?.manifest;
+			if (!previous_manifest) {
+				const extRootDir = await getXPISources(extRootName, previous_version, addon_identifier);
+				if (extRootDir && fs.existsSync(`${extRootDir}/src/manifest.json`)) {
+					previous_manifest = parse(fs.readFileSync(`${extRootDir}/src/manifest.json`).toString());
+				}
+			}
+			let changes = comparePermissions(previous_manifest, current_manifest);
+			if (changes) {
+				permission_changes = {
+					from: previous_version.version,
+					to: cmp_data.current,
+					date: esr_data.current.files[0].created,
+					...changes
+				};
+			}
 		}
 
+		stripExtension(extension);
+
 		// Attach cmp_data and ext_data to the extension object.
 		extension.xpilib = {};
+		extension.xpilib.format = XPILIB_FORMAT;
+		extension.xpilib.esr = SUPPORTED_ESR; // the ESR with data, see mergeUncheckedESR()
 		extension.xpilib.cmp_data = cmp_data; // for each esr + current the version number
 		extension.xpilib.ext_data = ext_data; // ext data for each esr relevant version
+		extension.xpilib.permission_changes = permission_changes; // changes since the previous version
 
 		return 1;
 	} catch (e) {
@@ -299,6 +465,84 @@ async function getExtensionFiles(extension) {
 	}
 }
 
+// Remove properties, which are probably not needed for analysis.
+// Note: current_version is cloned into xpilib.
+function stripExtension(extension) {
+	const not_needed_properties = [
+		"current_version",
+		"authors",
+		"categories",
+		"description",
+		"developer_comments",
+		"homepage",
+		"previews",
+		"summary",
+		"ratings",
+		"tags",
+	];
+	for (let p of not_needed_properties) {
+		delete extension[p];
+	}
+}
+
+// Load the master JSON file of the previous run, mapped by add-on id.
+function loadPreviousExtensions() {
+	let previous = new Map();
+	if (!fs.existsSync(extsAllJsonFileName)) {
+		return previous;
+	}
+	try {
+		for (let extension of fs.readJSONSync(extsAllJsonFileName)) {
+			if (extension) {
+				previous.set(extension.id, extension);
+			}
+		}
+	} catch (err) {
+		console.error("Error in loadPreviousExtensions()", extsAllJsonFileName, err);
+	}
+	return previous;
+}
+
+// Check if the data of the previous run can be re-used for the given search
+// result. The search result still includes current_version, while it has been
+// removed from the previous data (but its version number is stored in cmp_data).
+function isUnchanged(extension, previous) {
+	return (
+		!!previous?.xpilib &&
+		previous.xpilib.format == XPILIB_FORMAT &&
+		SUPPORTED_ESR.every(ESR => previous.xpilib.esr?.includes(ESR)) &&
+		previous.last_updated == extension.last_updated &&
+		previous.xpilib.cmp_data?.current == extension.current_version?.version
+	);
+}
+
+// Take the data of the configured ESR, which have not been checked by this run
+// (see --esr), from the data of the previous run, so the report builder still
+// finds data for all configured ESR. The merged ESR are added to xpilib.esr,
+// so later runs with yet another ESR subset keep them as well. Returns the ESR
+// without previous data.
+function mergeUncheckedESR(extension, previous) {
+	let missing = [];
+	let merged = [];
+	for (let ESR of CONFIGURED_ESR.filter(e => !SUPPORTED_ESR.includes(e))) {
+		if (previous?.xpilib?.format != XPILIB_FORMAT || !previous.xpilib.esr?.includes(ESR)) {
+			missing.push(ESR);
+			continue;
+		}
+		merged.push(ESR);
+		let version = previous.xpilib.cmp_data[ESR];
+		if (!version) {
+			continue;
+		}
+		extension.xpilib.cmp_data[ESR] = version;
+		if (!extension.xpilib.ext_data[version] && previous.xpilib.ext_data[version]) {
+			extension.xpilib.ext_data[version] = previous.xpilib.ext_data[version];
+		}
+	}
+	extension.xpilib.esr = CONFIGURED_ESR.filter(ESR => SUPPORTED_ESR.includes(ESR) || merged.includes(ESR));
+	return missing;
+}
+
 async function getExtensions() {
 	let startTime = new Date();
 
@@ -322,6 +566,33 @@ async function getExtensions() {
 	return extensions;
 }
 
+// Request the details of the given add-ons (id, guid or slug).
+async function getSelectedExtensions(identifiers) {
+	let extensions = [];
+	for (let identifier of identifiers) {
+		debug('Requesting details for: ' + identifier);
+		let r = await requestATN(identifier, 'details');
+		if (!r) {
+			console.error(`Error in getSelectedExtensions(), add-on <${identifier}> not found`);
+			continue;
+		}
+		if (!extensions.some(e => e.id == r.id)) {
+			extensions.push(r);
+		}
+	}
+	return extensions;
+}
+
+function sortByUsers(a, b) {
+	if (a.average_daily_users < b.average_daily_users) {
+		return 1;
+	} else if (a.average_daily_users > b.average_daily_users) {
+		return -1;
+	} else {
+		return 0;
+	}
+}
+
 
 // -----------------------------------------------------------------------------
 
@@ -330,35 +601,101 @@ async function main() {
 	console.log("Starting...");
 	let startTime = new Date();
 
-	console.log(" => Requesting information from ATN...");
-	let extensions = await getExtensions();
+	// The previous data is also needed to merge the selected add-ons into it, and
+	// to keep the data of add-ons which failed to process.
+	let previous_extensions = loadPreviousExtensions();
+
+	let extensions;
+	if (options.only) {
+		console.log(" => Requesting information about selected add-ons from ATN...");
+		extensions = await getSelectedExtensions(options.only);
+	} else {
+		console.log(" => Requesting information from ATN...");
+		extensions = await getExtensions();
+	}
+
+	// Runs which do not request all add-ons are merged into the previous data.
+	const partialCrawl = !!options.only || options.maxPages > 0;
+	let sorted_extensions = extensions.sort(sortByUsers);
+	// Selected add-ons are always refreshed.
+	const needsUpdate = extension => !!options.only || !incrementalSync || !isUnchanged(extension, previous_extensions.get(extension.id));
+
+	if (options.dryRun) {
+		let changed = sorted_extensions.filter(needsUpdate);
+		console.log(` => Dry run, would process ${changed.length} of ${sorted_extensions.length} add-ons:`);
+		for (let extension of changed) {
+			console.log(`    ${extension.id} ${extension.guid} (${extension.slug})`);
+		}
+		return;
+	}
 
 	console.log(" => Creating master JSON file...");
 	fs.ensureDirSync(`${rootDir}`);
-	await writePrettyJSONFile(extsAllLogFileName, extensions.map(e => `${e.id}-${e.guid}-${e.slug}`).sort());
-
-	let sorted_extensions = extensions.sort((a, b) => {
-		if (a.average_daily_users < b.average_daily_users) {
-			return 1;
-		} else if (a.average_daily_users > b.average_daily_users) {
-			return -1;
-		} else {
-			return 0;
-		}
-	})
+	if (!partialCrawl) {
+		await writePrettyJSONFile(extsAllLogFileName, extensions.map(e => `${e.id}-${e.guid}-${e.slug}`).sort());
+	}
 
+	if (incrementalSync && !options.only && previous_extensions.size > 0) {
+		console.log(` => Found ${previous_extensions.size} add-ons from previous run, only processing changed add-ons...`);
+	}
 
 	console.log(" => Downloading XPIs and additional version Information from ATN ...");
 	let total = sorted_extensions.length;
-	let current = 1;
-	for (let extension of sorted_extensions) {
-		console.log(`    Getting files for ${extension.guid} (${current}/${total})`);
-		await getExtensionFiles(extension);
-		current++;
-	};
+	let finished = 0;
+	let skipped = 0;
+	// The extension objects are updated in place, so the order of the master
+	// JSON file does not depend on the order in which the add-ons are finished.
+	await mapPool(sorted_extensions, maxParallelAddons, async (extension, index) => {
+		if (!needsUpdate(extension)) {
+			// Keep the existing xpilib data, but use the updated ATN data.
+			stripExtension(extension);
+			extension.xpilib = previous_extensions.get(extension.id).xpilib;
+			skipped++;
+			finished++;
+			debug(`    Skipped ${extension.guid} (${finished}/${total}), unchanged since last run`);
+			return;
+		}
+
+		console.log(`    Getting files for ${extension.guid} (#${index + 1})`);
+		let rv = await getExtensionFiles(extension, previous_extensions.get(extension.id));
+		finished++;
+		console.log(`    ${rv ? "Finished" : "Failed"} ${extension.guid} (${finished}/${total}, ${requestLimiter.pending} requests queued)`);
+		if (rv && SUPPORTED_ESR.length < CONFIGURED_ESR.length) {
+			let missing = mergeUncheckedESR(extension, previous_extensions.get(extension.id));
+			if (missing.length > 0) {
+				console.log(`    Warning: no previous data of TB${missing.join(", TB")} for ${extension.guid}, these columns will be empty`);
+			}
+		}
+		if (!rv && previous_extensions.get(extension.id)?.xpilib) {
+			// Keep the entire previous entry (including its last_updated value), so
+			// the add-on is processed again by the next incremental sync.
+			sorted_extensions[index] = previous_extensions.get(extension.id);
+			console.log(`    Kept the data of the previous run for ${extension.guid}`);
+		}
+	});
+	if (skipped > 0) {
+		console.log(` => Re-used data of ${skipped} unchanged add-ons`);
+	}
+
+	if (partialCrawl) {
+		// Replace the requested add-ons in the data of the previous run.
+		let merged = new Map(previous_extensions);
+		for (let extension of sorted_extensions) {
+			merged.set(extension.id, extension);
+		}
+		sorted_extensions = [...merged.values()].sort(sortByUsers);
+	}
 
 	console.log(" => Updating master JSON file...");
 	await writePrettyJSONFile(extsAllJsonFileName, sorted_extensions);
+	// Snapshots are only archived for full crawls, a partial crawl must not replace
+	// the snapshot of the day.
+	if (partialCrawl || SUPPORTED_ESR.length < CONFIGURED_ESR.length) {
+		console.log(" => Skipped snapshot, not all add-ons or ESR have been checked");
+	} else if (!options.skipSnapshot) {
+		let snapshotFile = writeSnapshot(`${rootDir}/snapshots`, sorted_extensions);
+		console.log(` => Archived snapshot ${snapshotFile}`);
+	}
 	console.log(" => Execution time for main(): " + (new Date() - startTime) / 1000);
 }
 
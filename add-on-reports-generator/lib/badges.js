@@ -0,0 +1,178 @@
+/**
+ * Renders badges as inline SVG in the style of shields.io, so the reports do not
+ * depend on an external image service. The look of the badges is defined in
+ * includes/badges.css.
+ *
+ * The badges used by the reports are defined in a badge registry. A badge is
+ * either a flag with a fixed text (e.g. "discontinued"), or is parameterised and
+ * shows its argument as text (e.g. "permission.storage").
+ */
+
+const { escapeHTML } = require('./html.js');
+
+// The named colors of shields.io, other names are used as CSS colors and hex
+// values may be given without the leading #.
+const NAMED_COLORS = {
+    brightgreen: "#4c1",
+    green: "#97ca00",
+    yellowgreen: "#a4a61d",
+    yellow: "#dfb317",
+    orange: "#fe7d37",
+    red: "#e05d44",
+    blue: "#007ec6",
+    grey: "#555",
+    lightgrey: "#9f9f9f",
+    // CSS colors used by the badge definitions.
+    darkgreen: "#006400",
+    darkred: "#8b0000",
+    purple: "#800080",
+};
+// The colors of the tones of the badge definitions.
+const TONES = {
+    positive: "darkgreen",
+    negative: "c90016",
+    warning: "ff8800",
+    info: "blue",
+    neutral: "D3D3D3",
+};
+const KINDS = ["flag", "parameterised"];
+const LEFT_COLOR = "#555";
+const HEIGHT = 20;
+const PADDING = 6;
+
+// Approximate widths of the characters of 11px Verdana, the font of the badges.
+const CHAR_WIDTHS = [
+    [/[ilj.,:;'|!]/, 3.5],
+    [/[ f()[\]{}t\-/\\]/, 4.5],
+    [/[mwMW%@]/, 10.5],
+    [/[A-Z]/, 7.5],
+    [/[0-9]/, 7],
+];
+const DEFAULT_CHAR_WIDTH = 6.5;
+
+// Returns the approximate width of the given text in pixels.
+function measureText(text) {
+    let width = 0;
+    for (let char of `${text}`) {
+        width += CHAR_WIDTHS.find(([pattern]) => pattern.test(char))?.[1] ?? DEFAULT_CHAR_WIDTH;
+    }
+    return Math.ceil(width);
+}
+
+function getColor(color) {
+    let name = `${color || "lightgrey"}`;
+    if (NAMED_COLORS[name]) {
+        return NAMED_COLORS[name];
+    }
+    return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(name) ? `#${name}` : name;
+}
+
+// Returns true, if dark text should be used on the given background color.
+function isLightColor(color) {
+    let hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color)?.[1];
+    if (!hex) {
+        return false;
+    }
+    if (hex.length == 3) {
+        hex = hex.split("").map(c => c + c).join("");
+    }
+    let [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) > 186;
+}
+
+// Render a badge with a left text, a right text, a color for the right part and
+// an optional tooltip. Line breaks in the tooltip may be given as "&#10;".
+function renderBadge({ left = "", right = "", color, tooltip }) {
+    let leftWidth = measureText(left) + 2 * PADDING;
+    let rightWidth = measureText(right) + 2 * PADDING;
+    let width = leftWidth + rightWidth;
+    let rightColor = getColor(color);
+    let textClass = isLightColor(rightColor) ? " dark" : "";
+    let label = `${left}: ${right}`;
+
+    let svg = `<svg class="badge" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" viewBox="0 0 ${width} ${HEIGHT}" role="img" aria-label="${escapeHTML(label)}">` +
+        `<rect width="${leftWidth}" height="${HEIGHT}" fill="${LEFT_COLOR}"/>` +
+        `<rect x="${leftWidth}" width="${rightWidth}" height="${HEIGHT}" fill="${escapeHTML(rightColor)}"/>` +
+        `<text x="${leftWidth / 2}" y="14">${escapeHTML(left)}</text>` +
+        `<text class="badge-right${textClass}" x="${leftWidth + rightWidth / 2}" y="14">${escapeHTML(right)}</text>` +
+        `</svg>`;
+
+    if (!tooltip) {
+        return svg;
+    }
+    let title = escapeHTML(`${tooltip}`.replace(/&#10;/g, "\n")).replace(/\n/g, "&#10;");
+    return `<span class="badge-tooltip" title="${title}">${svg}</span>`;
+}
+
+// Returns a registry for the given badge definitions, by name. Each definition
+// has a kind (flag or parameterised), a category, a left text, a right text (for
+// flags), a tone or a color, a description (used as tooltip), and optionally an
+// example argument and a link to explanatory docs. If categories are given, the
+// category of each definition has to be one of them. The definitions are never
+// modified.
+function createBadgeRegistry(definitions, categories = null) {
+    let registry = new Map();
+    for (let [name, definition] of Object.entries(definitions)) {
+        if (!KINDS.includes(definition.kind)) {
+            throw new Error(`Invalid kind of badge ${name}: ${definition.kind}`);
+        }
+        if (definition.tone && !TONES[definition.tone]) {
+            throw new Error(`Invalid tone of badge ${name}: ${definition.tone}`);
+        }
+        if (!definition.category || !definition.description) {
+            throw new Error(`Badge ${name} needs a category and a description`);
+        }
+        if (categories && !categories.includes(definition.category)) {
+            throw new Error(`Invalid category of badge ${name}: ${definition.category}`);
+        }
+        registry.set(name, Object.freeze({ ...definition, name }));
+    }
+
+    // Resolve a badge name: the name of a flag, or the name of a parameterised
+    // badge followed by a dot and the argument. The argument may contain dots.
+    function resolve(badgeName) {
+        let definition = registry.get(badgeName);
+        let argument = null;
+        if (!definition) {
+            let index = badgeName.indexOf(".");
+            definition = index > 0 ? registry.get(badgeName.slice(0, index)) : null;
+            if (!definition || definition.kind != "parameterised") {
+                throw new Error(`Unknown badge: ${badgeName}`);
+            }
+            argument = badgeName.slice(index + 1);
+        }
+        return {
+            definition,
+            argument,
+            left: definition.left ?? "",
+            right: definition.kind == "flag" ? definition.right ?? "" : argument ?? "",
+            color: definition.color || TONES[definition.tone],
+        };
+    }
+
+    return {
+        resolve,
+        // Render the badge with the given name. The tooltip defaults to the
+        // description of the badge.
+        render(badgeName, { link, tooltip } = {}) {
+            let { definition, left, right, color } = resolve(badgeName);
+            let tag = renderBadge({ left, right, color, tooltip: tooltip ?? definition.description });
+            return link ? `<a href="${escapeHTML(link)}">${tag}</a>` : tag;
+        },
+        // Render an example of the badge, for the legend.
+        renderExample(name) {
+            let definition = registry.get(name);
+            return this.render(definition.kind == "flag" ? name : `${name}.${definition.example ?? "..."}`);
+        },
+        list() {
+            return [...registry.values()];
+        },
+    };
+}
+
+module.exports = {
+    TONES,
+    createBadgeRegistry,
+    measureText,
+    renderBadge,
+};
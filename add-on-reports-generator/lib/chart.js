@@ -0,0 +1,80 @@
+/**
+ * Renders simple line charts as static inline SVG, so the reports do not need
+ * any client-side charting library.
+ */
+
+const { escapeHTML } = require('./html.js');
+
+const PALETTE = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f"];
+
+// Returns "nice" tick values from 0 to at least max.
+function getTicks(max, count = 5) {
+    if (max <= 0) {
+        return [0, 1];
+    }
+    let raw = max / count;
+    let magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    let step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw);
+    let ticks = [];
+    for (let tick = 0; tick < max + step; tick += step) {
+        ticks.push(tick);
+    }
+    return ticks;
+}
+
+// Render a line chart. The labels are shown on the x-axis, each series has a
+// label and one value per x-axis label.
+function renderLineChart({ title, labels, series, width = 800, height = 320 }) {
+    const margin = { top: 30, right: 150, bottom: 60, left: 70 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    let max = Math.max(0, ...series.flatMap(s => s.values));
+    let ticks = getTicks(max);
+    let yMax = ticks[ticks.length - 1];
+
+    const x = i => margin.left + (labels.length > 1 ? i * plotWidth / (labels.length - 1) : plotWidth / 2);
+    const y = v => margin.top + plotHeight - v * plotHeight / yMax;
+
+    let svg = [];
+    svg.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`);
+    if (title) {
+        svg.push(`<text x="${margin.left}" y="18" font-size="14" font-weight="bold">${escapeHTML(title)}</text>`);
+    }
+
+    // Grid and y-axis.
+    for (let tick of ticks) {
+        svg.push(`<line x1="${margin.left}" y1="${y(tick)}" x2="${margin.left + plotWidth}" y2="${y(tick)}" stroke="#ddd"/>`);
+        svg.push(`<text x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick.toLocaleString("en-US")}</text>`);
+    }
+
+    // X-axis, only label every n-th entry if there are too many.
+    let labelStep = Math.max(1, Math.ceil(labels.length / 12));
+    svg.push(`<line x1="${margin.left}" y1="${y(0)}" x2="${margin.left + plotWidth}" y2="${y(0)}" stroke="#333"/>`);
+    labels.forEach((label, i) => {
+        if (i % labelStep == 0 || i == labels.length - 1) {
+            svg.push(`<text x="${x(i)}" y="${y(0) + 14}" text-anchor="end" transform="rotate(-35 ${x(i)} ${y(0) + 14})">${escapeHTML(label)}</text>`);
+        }
+    });
+
+    series.forEach((s, idx) => {
+        let color = s.color || PALETTE[idx % PALETTE.length];
+        let points = s.values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+        svg.push(`<polyline fill="none" stroke="${color}" stroke-width="2" points="${points.join(" ")}"/>`);
+        s.values.forEach((v, i) => {
+            svg.push(`<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3" fill="${color}"><title>${escapeHTML(s.label)}, ${escapeHTML(labels[i])}: ${v}</title></circle>`);
+        });
+
+        // Legend.
+        let ly = margin.top + idx * 18;
+        svg.push(`<rect x="${width - margin.right + 15}" y="${ly}" width="12" height="12" fill="${color}"/>`);
+        svg.push(`<text x="${width - margin.right + 32}" y="${ly + 10}">${escapeHTML(s.label)}</text>`);
+    });
+
+    svg.push(`</svg>`);
+    return svg.join("\n");
+}
+
+module.exports = {
+    renderLineChart,
+};
@@ -0,0 +1,98 @@
+/**
+ * Loads the manually curated compatibility data of add-ons (status per ESR,
+ * discontinued add-ons, contacted authors, notes and links) and validates it
+ * against config/curated-addons.schema.json.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { SUPPORTED_ESR } = require('./esr.js');
+
+const schemaFile = path.join(__dirname, "..", "config", "curated-addons.schema.json");
+
+// Returns the error messages and warnings, errors is empty if the data is valid.
+// Add-ons which are not in the list of all known add-ons (e.g. removed from ATN)
+// and a status for an ESR which is not configured are errors as well, unless
+// allowUnknown is set: they are then only warnings, and ignored by the reports.
+// Unknown add-on ids can only be detected if the list of all known add-ons is
+// provided.
+function validateCuratedData(data, extensions, allowUnknown = false) {
+    let ajv = new Ajv({ allErrors: true });
+    let validate = ajv.compile(fs.readJSONSync(schemaFile));
+    if (!validate(data)) {
+        return { errors: validate.errors.map(e => `${e.instancePath || "/"} ${e.message}`), warnings: [] };
+    }
+
+    let errors = [];
+    let warnings = [];
+    let unknownProblems = allowUnknown ? warnings : errors;
+    let seen = new Map();
+    for (let [idx, addon] of data.addons.entries()) {
+        for (let esr of Object.keys(addon.status || {})) {
+            if (!SUPPORTED_ESR.includes(parseInt(esr, 10))) {
+                unknownProblems.push(`/addons/${idx} (${addon.id}) has a status for unknown ESR ${esr}`);
+            }
+        }
+
+        let previous = seen.get(addon.id);
+        if (previous) {
+            let conflicts = Object.keys(addon.status || {})
+                .filter(esr => previous.status?.[esr] && previous.status[esr] != addon.status[esr])
+                .map(esr => `${esr}: ${previous.status[esr]} vs. ${addon.status[esr]}`);
+            errors.push(conflicts.length > 0
+                ? `/addons/${idx} (${addon.id}) is a duplicate with conflicting status (${conflicts.join(", ")})`
+                : `/addons/${idx} (${addon.id}) is a duplicate`
+            );
+        } else {
+            seen.set(addon.id, addon);
+        }
+    }
+
+    if (extensions) {
+        let known = new Set(extensions.map(e => `${e.id}`));
+        for (let [idx, addon] of data.addons.entries()) {
+            if (!known.has(addon.id)) {
+                unknownProblems.push(`/addons/${idx} (${addon.id}) is an unknown add-on`);
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+// Load and validate the curated data and return a lookup object. Throws if the
+// data is invalid, warnings are logged.
+function loadCuratedData(file, extensions, allowUnknown = false) {
+    let data = fs.readJSONSync(file);
+    let { errors, warnings } = validateCuratedData(data, extensions, allowUnknown);
+    if (errors.length > 0) {
+        throw new Error(`Invalid curated data in ${file}:\n  ${errors.join("\n  ")}`);
+    }
+    for (let warning of warnings) {
+        console.warn(`Warning in curated data ${file}: ${warning}`);
+    }
+
+    let addons = new Map(data.addons.map(a => [a.id, a]));
+    return {
+        get(id) {
+            return addons.get(`${id}`) || null;
+        },
+        // Returns the curated status of the add-on for the given ESR, or null.
+        getStatus(id, esr) {
+            return addons.get(`${id}`)?.status?.[esr] || null;
+        },
+        isDiscontinued(id) {
+            return !!addons.get(`${id}`)?.discontinued;
+        },
+        isWaitingForFeedback(id) {
+            return !!addons.get(`${id}`)?.waiting_for_feedback;
+        },
+    };
+}
+
+module.exports = {
+    loadCuratedData,
+    validateCuratedData,
+};
@@ -0,0 +1,46 @@
+/**
+ * The ESR configuration shared by get_addon_data.js and build_reports.js. To
+ * add a new ESR, add an entry to config/esr.json.
+ */
+
+const ESR_CONFIG = require('../config/esr.json')
+    .slice()
+    .sort((a, b) => a.version - b.version);
+
+for (let esr of ESR_CONFIG) {
+    if (!Number.isInteger(esr.version)) {
+        throw new Error(`Invalid ESR version in config/esr.json: ${esr.version}`);
+    }
+    if (ESR_CONFIG.filter(e => e.version == esr.version).length > 1) {
+        throw new Error(`Duplicate ESR version in config/esr.json: ${esr.version}`);
+    }
+}
+
+// All configured ESR versions, oldest first.
+const SUPPORTED_ESR = ESR_CONFIG.map(e => e.version);
+
+function getESR(version) {
+    return ESR_CONFIG.find(e => e.version == version) || null;
+}
+
+// Returns the ESR preceding the given ESR, or null for the oldest one.
+function getPreviousESR(version) {
+    let idx = SUPPORTED_ESR.indexOf(parseInt(version, 10));
+    return idx > 0 ? SUPPORTED_ESR[idx - 1] : null;
+}
+
+// Returns a display name like "Thunderbird 115 (Supernova)".
+function getESRName(version) {
+    let esr = getESR(version);
+    return esr?.codename
+        ? `Thunderbird ${esr.version} (${esr.codename})`
+        : `Thunderbird ${version}`;
+}
+
+module.exports = {
+    ESR_CONFIG,
+    SUPPORTED_ESR,
+    getESR,
+    getPreviousESR,
+    getESRName,
+};
@@ -0,0 +1,105 @@
+/**
+ * Static analysis of the implementation scripts of Experiment APIs. Searches for
+ * Thunderbird internals which have been removed or changed and are therefore a
+ * likely cause for broken add-ons.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Ids of the main elements of the mail:3pane window, which have been removed
+// or moved into the about:3pane tab with the 3-pane rewrite in Thunderbird 115.
+const REMOVED_3PANE_IDS = [
+    "folderTree", "folderPaneBox", "threadTree", "threadPaneBox", "messagepane",
+    "messagepanebox", "msgHeaderView", "displayDeck", "accountCentralBox",
+];
+
+// Each check has an id (used for the stored findings and the badges), a short
+// label and a pattern, which is matched against each line of a script.
+const CHECKS = [
+    {
+        id: "services_jsm",
+        label: "Services.jsm",
+        description: "Imports Services.jsm, which has been removed (Services is a global).",
+        pattern: /["'`]resource:\/\/gre\/modules\/Services\.jsm["'`]/,
+    },
+    {
+        id: "jsm_import",
+        label: "JSM Import",
+        description: "Uses ChromeUtils.import() to load a JSM module, which are being replaced by ES modules.",
+        pattern: /ChromeUtils\.import\(\s*["'`][^"'`]+\.jsm["'`]/,
+    },
+    {
+        id: "tabmail_tab",
+        label: "tabmail-tab",
+        description: "Accesses the tabmail-tab elements of the tab bar, which has been rewritten.",
+        pattern: /getElementsByClassName\(\s*["'`]tabmail-tab["'`]\s*\)/,
+    },
+    {
+        id: "folder_utils_jsm",
+        label: "folderUtils.jsm",
+        description: "Uses folderUtils.jsm, which has been replaced by FolderUtils.jsm.",
+        pattern: /folderUtils\.jsm/,
+    },
+    {
+        id: "mail_3pane_ids",
+        label: "3-pane DOM",
+        description: "Accesses elements of the mail:3pane window, which have been moved into about:3pane.",
+        pattern: new RegExp(
+            `(getElementById\\(\\s*["'\`](${REMOVED_3PANE_IDS.join("|")})["'\`]\\s*\\))|` +
+            `(querySelector(All)?\\(\\s*["'\`]#(${REMOVED_3PANE_IDS.join("|")})\\b)`
+        ),
+    },
+];
+
+// Returns the paths (relative to the root of the add-on) of all implementation
+// scripts referenced by the experiment_apis entry of the manifest.
+function getExperimentScripts(manifest) {
+    let scripts = new Set();
+    for (let api of Object.values(manifest?.experiment_apis || {})) {
+        for (let scope of ["parent", "child"]) {
+            let script = api?.[scope]?.script;
+            if (typeof script === 'string') {
+                scripts.add(script.replace(/^\/+/, ""));
+            }
+        }
+    }
+    return [...scripts];
+}
+
+// Scan the experiment scripts of the extracted add-on in srcDir and return a
+// list of findings [{check, file, line}], sorted by file and line.
+function scanExperiments(srcDir, manifest) {
+    let findings = [];
+    let root = path.resolve(srcDir);
+    for (let script of getExperimentScripts(manifest)) {
+        let file = path.resolve(root, script);
+        // Do not follow paths outside of the add-on.
+        if (!file.startsWith(root + path.sep)) {
+            continue;
+        }
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+        let lines = fs.readFileSync(file, 'utf8').split(/\r\n|\n/);
+        lines.forEach((text, idx) => {
+            for (let check of CHECKS) {
+                if (check.pattern.test(text)) {
+                    findings.push({ check: check.id, file: script, line: idx + 1 });
+                }
+            }
+        });
+    }
+    return findings;
+}
+
+function getCheck(id) {
+    return CHECKS.find(c => c.id == id) || null;
+}
+
+module.exports = {
+    CHECKS,
+    getCheck,
+    getExperimentScripts,
+    scanExperiments,
+};
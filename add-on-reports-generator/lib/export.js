@@ -0,0 +1,38 @@
+/**
+ * Writes the data of a report as machine-readable JSON and CSV files next to
+ * the HTML page, so scripts do not have to scrape the HTML.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+function escapeCSV(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    let text = Array.isArray(value) ? value.join(" ") : `${value}`;
+    return /[",\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+// Returns the rows as CSV. The columns are given as [{header, value(row)}].
+function toCSV(rows, columns) {
+    let lines = [columns.map(c => escapeCSV(c.header)).join(",")];
+    for (let row of rows) {
+        lines.push(columns.map(c => escapeCSV(c.value(row))).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Write <name>.json (the report meta data and all rows) and <name>.csv.
+function writeReportData(dir, name, meta, rows, columns) {
+    fs.ensureDirSync(dir);
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ name, ...meta, count: rows.length, rows }, null, 4));
+    fs.writeFileSync(path.join(dir, `${name}.csv`), toCSV(rows, columns));
+}
+
+module.exports = {
+    toCSV,
+    writeReportData,
+};
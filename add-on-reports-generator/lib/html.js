@@ -0,0 +1,17 @@
+/**
+ * Helpers for the generated HTML pages and inline SVG.
+ */
+
+// Escape a value for use in HTML (or XML) text and attribute values.
+function escapeHTML(value) {
+    return `${value}`
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+module.exports = {
+    escapeHTML,
+};
@@ -0,0 +1,122 @@
+/**
+ * A reader for the install.rdf of legacy add-ons. Supports the element form
+ * (<em:id>...</em:id>) and the attribute form (<Description em:id="...">) of the
+ * properties, nested Description elements and any namespace prefixes.
+ */
+
+const convert = require('xml-js');
+
+const APPLICATIONS = {
+    "{3550f703-e582-4d05-9a08-453d09bdfdc6}": "Thunderbird",
+    "{92650c4d-4b8e-4d2a-b7eb-24ecf4f6b63a}": "SeaMonkey",
+    "{ec8030f7-c20a-464f-9b0e-13a3a9e97384}": "Firefox",
+    "toolkit@mozilla.org": "Toolkit",
+};
+const THUNDERBIRD_ID = "{3550f703-e582-4d05-9a08-453d09bdfdc6}";
+const INSTALL_MANIFEST = "urn:mozilla:install-manifest";
+
+// Strip the namespace prefix, e.g. "em:id" -> "id".
+function localName(name) {
+    return name.split(":").pop();
+}
+
+function getChildElements(element) {
+    return (element.elements || []).filter(e => e.type == "element");
+}
+
+function getText(element) {
+    return (element.elements || [])
+        .filter(e => e.type == "text" || e.type == "cdata")
+        .map(e => e.text || e.cdata)
+        .join("")
+        .trim();
+}
+
+function getAttribute(element, name) {
+    let entry = Object.entries(element.attributes || {}).find(([key]) => localName(key) == name);
+    return entry ? `${entry[1]}`.trim() : null;
+}
+
+// Returns the properties of a Description element as a list of [name, value]
+// entries, where value is either a string or a nested Description element.
+function getProperties(description) {
+    let properties = [];
+    for (let [key, value] of Object.entries(description.attributes || {})) {
+        let name = localName(key);
+        if (!key.startsWith("xmlns") && name != "about" && name != "ID") {
+            properties.push([name, `${value}`.trim()]);
+        }
+    }
+    for (let child of getChildElements(description)) {
+        let nested = getChildElements(child).find(e => localName(e.name) == "Description");
+        properties.push([localName(child.name), nested || getAttribute(child, "resource") || getText(child)]);
+    }
+    return properties;
+}
+
+function getProperty(properties, name) {
+    let entry = properties.find(([key, value]) => key == name && typeof value === 'string');
+    return entry ? entry[1] : null;
+}
+
+// Parse the given install.rdf content. Returns null, if it does not contain an
+// install manifest.
+function parseInstallRDF(xml) {
+    let root = getChildElements(convert.xml2js(xml, { ignoreComment: true, ignoreDeclaration: true }))
+        .find(e => localName(e.name) == "RDF");
+    if (!root) {
+        return null;
+    }
+
+    let descriptions = getChildElements(root).filter(e => localName(e.name) == "Description");
+    let manifest = descriptions.find(e => getAttribute(e, "about") == INSTALL_MANIFEST) || descriptions[0];
+    if (!manifest) {
+        return null;
+    }
+
+    let properties = getProperties(manifest);
+    let type = parseInt(getProperty(properties, "type"), 10);
+
+    let targetApplications = [];
+    for (let [name, value] of properties) {
+        if (name != "targetApplication") {
+            continue;
+        }
+        // The Description of the target application is either nested, or is
+        // referenced by its about or ID attribute (RDF:resource="...").
+        let description = typeof value === 'string'
+            ? descriptions.find(e => getAttribute(e, "about") == value || `#${getAttribute(e, "ID")}` == value)
+            : value;
+        if (!description) {
+            continue;
+        }
+        let appProperties = getProperties(description);
+        let id = getProperty(appProperties, "id");
+        targetApplications.push({
+            id,
+            name: APPLICATIONS[id] || null,
+            minVersion: getProperty(appProperties, "minVersion"),
+            maxVersion: getProperty(appProperties, "maxVersion"),
+        });
+    }
+
+    return {
+        id: getProperty(properties, "id"),
+        version: getProperty(properties, "version"),
+        name: getProperty(properties, "name"),
+        // Extensions do not have to specify their type.
+        type: Number.isNaN(type) ? 2 : type,
+        bootstrap: getProperty(properties, "bootstrap") == "true",
+        targetApplications,
+    };
+}
+
+// Returns the targetApplication entry for Thunderbird, or null.
+function getThunderbirdTarget(installRDF) {
+    return installRDF?.targetApplications?.find(t => t.id == THUNDERBIRD_ID) || null;
+}
+
+module.exports = {
+    parseInstallRDF,
+    getThunderbirdTarget,
+};
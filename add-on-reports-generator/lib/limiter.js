@@ -0,0 +1,84 @@
+/**
+ * Helpers to run asynchronous tasks in parallel, while limiting the number of
+ * tasks in flight and the rate at which new tasks are started.
+ */
+
+// Returns a limiter, whose schedule() function runs the given task as soon as
+// less than maxInFlight tasks are running and the rate limit of maxPerSecond
+// allows to start another task. A value of 0 disables the respective limit.
+function createLimiter({ maxInFlight = 0, maxPerSecond = 0 } = {}) {
+    const interval = maxPerSecond > 0 ? 1000 / maxPerSecond : 0;
+    const queue = [];
+    let inFlight = 0;
+    let nextStart = 0;
+    let timer = null;
+
+    function next() {
+        if (timer || queue.length == 0 || (maxInFlight > 0 && inFlight >= maxInFlight)) {
+            return;
+        }
+
+        let wait = nextStart - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                next();
+            }, wait);
+            return;
+        }
+
+        nextStart = Date.now() + interval;
+        let { task, resolve, reject } = queue.shift();
+        inFlight++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                inFlight--;
+                next();
+            });
+        next();
+    }
+
+    return {
+        schedule(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get inFlight() {
+            return inFlight;
+        },
+        get pending() {
+            return queue.length;
+        },
+    };
+}
+
+// Calls worker(item, index) for all items, with at most concurrency pending
+// calls at any time. The returned results are in the same order as the items,
+// independent of the order in which the calls have been finished.
+async function mapPool(items, concurrency, worker) {
+    let results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function run() {
+        while (nextIndex < items.length) {
+            let index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    let runners = [];
+    for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+        runners.push(run());
+    }
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    createLimiter,
+    mapPool,
+};
@@ -0,0 +1,85 @@
+/**
+ * Collects the locale information of an extracted WebExtension: the
+ * default_locale of the manifest, the available _locales folders and the
+ * messages referenced by the manifest (__MSG_name__), which are missing in the
+ * messages.json of a locale.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parse } = require('comment-json');
+
+// Returns the names of all messages referenced by the manifest.
+function getReferencedMessages(manifest) {
+    let names = new Set();
+    for (let match of JSON.stringify(manifest || {}).matchAll(/__MSG_([A-Za-z0-9_@]+?)__/g)) {
+        names.add(match[1]);
+    }
+    return [...names].sort();
+}
+
+// Returns the message names of the messages.json of the given locale folder (in
+// lower case, as message names are case-insensitive), or null if it is missing
+// or invalid.
+function getMessageNames(localeDir) {
+    let file = path.join(localeDir, "messages.json");
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    try {
+        return new Set(Object.keys(parse(fs.readFileSync(file, 'utf8')) || {}).map(n => n.toLowerCase()));
+    } catch (e) {
+        return null;
+    }
+}
+
+function getLocaleInfo(srcDir, manifest) {
+    let localesDir = path.join(srcDir, "_locales");
+    let locales = fs.existsSync(localesDir)
+        ? fs.readdirSync(localesDir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name).sort()
+        : [];
+
+    let referenced = getReferencedMessages(manifest);
+    let missing_messages = {};
+    let invalid_locales = [];
+    for (let locale of locales) {
+        let names = getMessageNames(path.join(localesDir, locale));
+        if (!names) {
+            invalid_locales.push(locale);
+            continue;
+        }
+        let missing = referenced.filter(name => !names.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            missing_messages[locale] = missing;
+        }
+    }
+
+    return {
+        default_locale: manifest?.default_locale || null,
+        locales,
+        referenced_messages: referenced,
+        missing_messages,
+        // Locale folders without a valid messages.json.
+        invalid_locales,
+    };
+}
+
+// Normalize a locale code of a manifest (en_US) or of ATN (en-US).
+function normalizeLocale(locale) {
+    return `${locale}`.replace(/_/g, "-").toLowerCase();
+}
+
+// Returns true, if both locales are the same or share the same language (en and
+// en-US).
+function isSameLanguage(a, b) {
+    a = normalizeLocale(a);
+    b = normalizeLocale(b);
+    return a == b || a.split("-")[0] == b.split("-")[0];
+}
+
+module.exports = {
+    getLocaleInfo,
+    getReferencedMessages,
+    normalizeLocale,
+    isSameLanguage,
+};
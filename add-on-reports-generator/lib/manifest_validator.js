@@ -0,0 +1,71 @@
+/**
+ * Validates the manifest.json of WebExtensions against the bundled MailExtension
+ * schema in config/manifest.schema.json, and reports the found problems grouped
+ * into problem classes.
+ */
+
+const Ajv = require('ajv');
+
+const schema = require('../config/manifest.schema.json');
+
+// The problem classes and their labels, as used in the reports.
+const PROBLEM_CLASSES = {
+    unknown_key: "Unknown Key",
+    invalid_permission: "Invalid Permission",
+    malformed_strict_max_version: "Malformed strict_max_version",
+    missing_gecko_id: "Missing Gecko Id",
+    deprecated_applications: "Deprecated applications Key",
+    invalid_value: "Invalid Value",
+};
+
+// Use verbose errors, to include the invalid values in the messages.
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const validate = ajv.compile(schema);
+
+// Map an ajv error to a problem {problem, message}.
+function toProblem(error) {
+    let instancePath = error.instancePath || "";
+    if (error.keyword == "additionalProperties") {
+        let key = [instancePath, error.params.additionalProperty].join("/").replace(/^\//, "");
+        return { problem: "unknown_key", message: `Unknown key: ${key}` };
+    }
+    if (/^\/(optional_)?(host_)?permissions\/\d+$/.test(instancePath)) {
+        return { problem: "invalid_permission", message: `Invalid permission: ${error.data}` };
+    }
+    if (instancePath.endsWith("/gecko/strict_max_version")) {
+        return { problem: "malformed_strict_max_version", message: `Malformed strict_max_version: ${error.data}` };
+    }
+    return { problem: "invalid_value", message: `${instancePath || "/"} ${error.message}` };
+}
+
+// Returns a list of problems [{problem, message}] found in the given manifest,
+// empty if the manifest is valid.
+function validateManifest(manifest) {
+    let problems = [];
+    if (!validate(manifest)) {
+        for (let error of validate.errors) {
+            // The anyOf of the permissions reports an additional error per entry.
+            if (error.keyword == "anyOf") {
+                continue;
+            }
+            problems.push(toProblem(error));
+        }
+    }
+
+    // The add-on id is optional for Firefox, but required for Thunderbird.
+    if (!manifest?.browser_specific_settings?.gecko?.id && !manifest?.applications?.gecko?.id) {
+        problems.push({ problem: "missing_gecko_id", message: "Missing browser_specific_settings.gecko.id" });
+    }
+    if (manifest?.applications) {
+        problems.push({ problem: "deprecated_applications", message: "The applications key is deprecated, use browser_specific_settings" });
+    }
+
+    // Remove duplicates, e.g. an invalid permission is reported by each branch
+    // of the anyOf.
+    return problems.filter((p, idx) => problems.findIndex(e => e.problem == p.problem && e.message == p.message) == idx);
+}
+
+module.exports = {
+    PROBLEM_CLASSES,
+    validateManifest,
+};
@@ -0,0 +1,174 @@
+/**
+ * Analysis of the permissions requested by the manifest of a WebExtension. The
+ * permissions are split into API permissions, host permissions, optional
+ * permissions, content scripts and web accessible resources, and are combined
+ * into a risk score.
+ */
+
+// Risk weights of API permissions. Permissions not listed here have a weight
+// of 1, optional permissions count half.
+const API_WEIGHTS = {
+    "accountsFolders": 2,
+    "accountsIdentities": 2,
+    "accountsRead": 2,
+    "addressBooks": 3,
+    "clipboardRead": 4,
+    "compose": 2,
+    "compose.send": 5,
+    "cookies": 3,
+    "downloads": 2,
+    "downloads.open": 3,
+    "management": 4,
+    "messagesDelete": 5,
+    "messagesImport": 3,
+    "messagesModify": 4,
+    "messagesMove": 3,
+    "messagesRead": 4,
+    "messagesUpdate": 3,
+    "nativeMessaging": 8,
+    "privacy": 3,
+    "proxy": 5,
+    "sensitiveDataUpload": 5,
+    "tabs": 2,
+    "webRequest": 3,
+    "webRequestBlocking": 5,
+    "webRequestFilterResponse": 5,
+    // Harmless permissions.
+    "alarms": 0,
+    "menus": 0,
+    "notifications": 0,
+    "storage": 0,
+    "unlimitedStorage": 0,
+};
+
+// Host permissions by scope.
+const HOST_WEIGHTS = {
+    all: 8,
+    wildcard: 4,
+    specific: 2,
+};
+
+const CONTENT_SCRIPT_WEIGHT = 2;
+const WEB_ACCESSIBLE_RESOURCES_WEIGHT = 1;
+// Experiments have full access to Thunderbird.
+const EXPERIMENT_WEIGHT = 20;
+
+// Risk levels by minimum score, highest first.
+const RISK_LEVELS = [
+    { level: "critical", minScore: EXPERIMENT_WEIGHT },
+    { level: "high", minScore: 10 },
+    { level: "medium", minScore: 4 },
+    { level: "low", minScore: 0 },
+];
+
+function isHostPermission(permission) {
+    return permission == "<all_urls>" || /^(\*|[a-z][a-z0-9+.-]*):\/\//.test(permission);
+}
+
+// Returns the scope of a host pattern: all, wildcard or specific.
+function getHostScope(pattern) {
+    if (pattern == "<all_urls>") {
+        return "all";
+    }
+    let host = pattern.replace(/^[^:]+:\/\//, "").split("/")[0];
+    if (host == "*" || host == "") {
+        return "all";
+    }
+    return host.startsWith("*.") ? "wildcard" : "specific";
+}
+
+// Split the given list of permissions into API and host permissions.
+function splitPermissions(permissions) {
+    let list = Array.isArray(permissions) ? permissions.filter(p => typeof p === 'string') : [];
+    return {
+        api: list.filter(p => !isHostPermission(p)),
+        host: list.filter(p => isHostPermission(p)),
+    };
+}
+
+function getRiskLevel(score) {
+    return RISK_LEVELS.find(r => score >= r.minScore).level;
+}
+
+// Analyze the permissions of the given manifest. Returns null, if there is no
+// manifest.
+function analyzePermissions(manifest) {
+    if (!manifest) {
+        return null;
+    }
+
+    let permissions = splitPermissions(manifest.permissions);
+    // Manifest V3 lists the host permissions separately.
+    permissions.host.push(...splitPermissions(manifest.host_permissions).host);
+    let optional = splitPermissions(manifest.optional_permissions);
+    optional.host.push(...splitPermissions(manifest.optional_host_permissions).host);
+    let contentScripts = (Array.isArray(manifest.content_scripts) ? manifest.content_scripts : [])
+        .flatMap(c => Array.isArray(c?.matches) ? c.matches : []);
+    let webAccessibleResources = Array.isArray(manifest.web_accessible_resources)
+        ? manifest.web_accessible_resources.length
+        : 0;
+    let experiment = !!manifest.experiment_apis;
+
+    const apiWeight = p => API_WEIGHTS[p] ?? 1;
+    const hostWeight = p => HOST_WEIGHTS[getHostScope(p)];
+    let score =
+        permissions.api.reduce((sum, p) => sum + apiWeight(p), 0) +
+        optional.api.reduce((sum, p) => sum + apiWeight(p) / 2, 0) +
+        // Only the broadest host permission counts.
+        Math.max(0, ...permissions.host.map(hostWeight)) +
+        Math.max(0, ...optional.host.map(hostWeight)) / 2 +
+        (contentScripts.length > 0 ? CONTENT_SCRIPT_WEIGHT : 0) +
+        (webAccessibleResources > 0 ? WEB_ACCESSIBLE_RESOURCES_WEIGHT : 0) +
+        (experiment ? EXPERIMENT_WEIGHT : 0);
+
+    return {
+        api: permissions.api,
+        host: permissions.host,
+        optional_api: optional.api,
+        optional_host: optional.host,
+        content_scripts: [...new Set(contentScripts)],
+        web_accessible_resources: webAccessibleResources,
+        experiment,
+        score,
+        level: getRiskLevel(score),
+    };
+}
+
+// Compare the permissions of two manifests (previous and current version) and
+// return the added and removed permissions, host patterns (including the matches
+// of content scripts) and Experiment APIs. Returns null, if a manifest is missing.
+function comparePermissions(before, after) {
+    let a = analyzePermissions(before);
+    let b = analyzePermissions(after);
+    if (!a || !b) {
+        return null;
+    }
+
+    const diff = (x, y) => y.filter(e => !x.includes(e));
+    const hosts = analysis => [...new Set([...analysis.host, ...analysis.content_scripts])];
+    const experimentAPIs = manifest => Object.keys(manifest.experiment_apis || {});
+
+    let changes = {
+        added_permissions: diff(a.api, b.api),
+        removed_permissions: diff(b.api, a.api),
+        added_optional_permissions: diff([...a.optional_api, ...a.optional_host], [...b.optional_api, ...b.optional_host]),
+        added_hosts: diff(hosts(a), hosts(b)),
+        removed_hosts: diff(hosts(b), hosts(a)),
+        added_experiment_apis: diff(experimentAPIs(before), experimentAPIs(after)),
+        removed_experiment_apis: diff(experimentAPIs(after), experimentAPIs(before)),
+        score_before: a.score,
+        score_after: b.score,
+    };
+    // Optional permissions have to be granted by the user and do not count.
+    changes.escalated = changes.added_permissions.length > 0 ||
+        changes.added_hosts.length > 0 ||
+        changes.added_experiment_apis.length > 0;
+    return changes;
+}
+
+module.exports = {
+    analyzePermissions,
+    comparePermissions,
+    getHostScope,
+    isHostPermission,
+};
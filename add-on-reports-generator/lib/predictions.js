@@ -0,0 +1,76 @@
+/**
+ * A small rule engine to predict the compatibility of add-ons with an ESR. The
+ * rules are defined in config/prediction-rules.json and are matched against the
+ * facts collected for an add-on and an ESR, the first matching rule wins.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { CHECKS } = require('./experiment_scanner.js');
+
+const schemaFile = path.join(__dirname, "..", "config", "prediction-rules.schema.json");
+
+// Load and validate the rules. Throws if the rules are invalid.
+function loadRules(file) {
+    let data = fs.readJSONSync(file);
+    let ajv = new Ajv({ allErrors: true });
+    let validate = ajv.compile(fs.readJSONSync(schemaFile));
+    let errors = validate(data)
+        ? []
+        : validate.errors.map(e => `${e.instancePath || "/"} ${e.message}`);
+
+    if (errors.length == 0) {
+        let seen = new Set();
+        for (let [idx, rule] of data.rules.entries()) {
+            if (seen.has(rule.id)) {
+                errors.push(`/rules/${idx} (${rule.id}) is a duplicate`);
+            }
+            seen.add(rule.id);
+            for (let check of rule.when.findings || []) {
+                if (!CHECKS.some(c => c.id == check)) {
+                    errors.push(`/rules/${idx} (${rule.id}) uses the unknown finding ${check}`);
+                }
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid prediction rules in ${file}:\n  ${errors.join("\n  ")}`);
+    }
+    return data.rules;
+}
+
+// Returns true, if all conditions of the rule match the given facts.
+function matchesRule(rule, facts) {
+    return Object.entries(rule.when).every(([key, expected]) => {
+        switch (key) {
+            case "min_esr":
+                return facts.esr >= expected;
+            case "max_esr":
+                return facts.esr <= expected;
+            case "manifest_keys":
+            case "experiment_schemas":
+            case "findings":
+                return expected.some(value => (facts[key] || []).includes(value));
+            default:
+                return facts[key] === expected;
+        }
+    });
+}
+
+// Returns the prediction {status, confidence, rule} of the first matching rule,
+// or an unknown status with zero confidence, if no rule matches.
+function predict(rules, facts) {
+    let rule = rules.find(r => matchesRule(r, facts));
+    return rule
+        ? { status: rule.status, confidence: rule.confidence, rule: rule.id }
+        : { status: "unknown", confidence: 0, rule: null };
+}
+
+module.exports = {
+    loadRules,
+    matchesRule,
+    predict,
+};
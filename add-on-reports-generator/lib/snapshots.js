@@ -0,0 +1,87 @@
+/**
+ * Dated snapshots of the master JSON file. The collector archives a compressed
+ * copy of each crawl, the report builder summarizes them for the trends report.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+
+const SNAPSHOT_PATTERN = /^xall-(\d{4}-\d{2}-\d{2})\.json\.gz$/;
+
+// Archive the given extensions as data/snapshots/xall-<date>.json.gz. A snapshot
+// of the same day is replaced.
+function writeSnapshot(snapshotDir, extensions, date = new Date()) {
+    let day = date.toISOString().split('T')[0];
+    let file = path.join(snapshotDir, `xall-${day}.json.gz`);
+    fs.ensureDirSync(snapshotDir);
+    fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(extensions)));
+    return file;
+}
+
+// Returns all snapshots as [{date, file}], oldest first.
+function listSnapshots(snapshotDir) {
+    if (!fs.existsSync(snapshotDir)) {
+        return [];
+    }
+    return fs.readdirSync(snapshotDir)
+        .map(name => ({ name, match: name.match(SNAPSHOT_PATTERN) }))
+        .filter(e => e.match)
+        .map(e => ({ date: e.match[1], file: path.join(snapshotDir, e.name) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function readSnapshot(file) {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString("utf8"));
+}
+
+// Reduce a crawl to the numbers needed for the trends report. An add-on counts
+// as compatible with an ESR, if the collector found a compatible version for it.
+function summarizeExtensions(extensions, esrList) {
+    let summary = {
+        total: extensions.length,
+        users: 0,
+        esr: {},
+        addons: extensions.map(e => ({ id: e.id, slug: e.slug })),
+    };
+    for (let esr of esrList) {
+        summary.esr[esr] = { count: 0, users: 0 };
+    }
+    for (let extension of extensions) {
+        let users = extension.average_daily_users || 0;
+        summary.users += users;
+        for (let esr of esrList) {
+            if (extension.xpilib?.cmp_data?.[esr]) {
+                summary.esr[esr].count++;
+                summary.esr[esr].users += users;
+            }
+        }
+    }
+    return summary;
+}
+
+// Summarize all snapshots, one at a time to keep the memory usage low, and add
+// the add-ons added and removed since the previous snapshot.
+function summarizeSnapshots(snapshotDir, esrList) {
+    let summaries = [];
+    let previous = null;
+    for (let { date, file } of listSnapshots(snapshotDir)) {
+        let summary = summarizeExtensions(readSnapshot(file), esrList);
+        let current = new Map(summary.addons.map(a => [a.id, a]));
+        summary.date = date;
+        summary.added = previous ? summary.addons.filter(a => !previous.has(a.id)) : [];
+        summary.removed = previous ? [...previous.values()].filter(a => !current.has(a.id)) : [];
+        delete summary.addons;
+        previous = current;
+        summaries.push(summary);
+    }
+    return summaries;
+}
+
+module.exports = {
+    writeSnapshot,
+    listSnapshots,
+    readSnapshot,
+    summarizeExtensions,
+    summarizeSnapshots,
+};
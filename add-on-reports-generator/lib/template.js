@@ -0,0 +1,179 @@
+/**
+ * A small template engine for the generated HTML pages.
+ *
+ *   {{name}}                    value, HTML escaped (dotted paths like row.id)
+ *   {{{name}}}                  value, not escaped (pre-rendered HTML)
+ *   {{#each list}}...{{/each}}  loop, use {{this}} and {{@index}} inside
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{> name}}                  partial, loaded from partials/<name>.html
+ *
+ * Names are looked up in the current context first, and then in the contexts of
+ * the enclosing loops. Empty lists are false in conditions.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeHTML } = require('./html.js');
+
+const TAG = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/>]?)\s*([^}]+?)\s*\}\}/g;
+
+// Parse the template source into a tree of nodes.
+function parse(source, name) {
+    let root = { children: [] };
+    let stack = [root];
+    let last = 0;
+    const current = () => stack[stack.length - 1];
+    const lineOf = index => source.slice(0, index).split("\n").length;
+
+    for (let match of source.matchAll(TAG)) {
+        let [, raw, modifier, expression] = match;
+        let start = match.index;
+        let end = match.index + match[0].length;
+
+        // Blocks, partials and else on a line of their own do not leave an
+        // empty line behind.
+        if (modifier || expression == "else") {
+            let lineStart = source.lastIndexOf("\n", start - 1) + 1;
+            let lineEnd = source.indexOf("\n", end);
+            lineEnd = lineEnd == -1 ? source.length : lineEnd + 1;
+            if (lineStart >= last && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+                start = lineStart;
+                end = lineEnd;
+            }
+        }
+
+        if (start > last) {
+            current().children.push({ type: "text", text: source.slice(last, start) });
+        }
+        last = end;
+
+        if (raw) {
+            current().children.push({ type: "value", path: raw, escape: false });
+            continue;
+        }
+        if (modifier == ">") {
+            current().children.push({ type: "partial", name: expression });
+            continue;
+        }
+        if (modifier == "#") {
+            let [block, arg] = expression.split(/\s+/);
+            if (!["each", "if"].includes(block) || !arg) {
+                throw new Error(`Invalid block {{${match[0].slice(2, -2)}}} in template ${name}:${lineOf(match.index)}`);
+            }
+            let node = { type: block, path: arg, children: [], alternative: null };
+            current().children.push(node);
+            stack.push(node);
+            continue;
+        }
+        if (modifier == "/") {
+            let node = stack.pop();
+            if (stack.length == 0 || node.type != expression) {
+                throw new Error(`Unexpected {{/${expression}}} in template ${name}:${lineOf(match.index)}`);
+            }
+            if (node.alternative) {
+                // Restore the children of the if branch.
+                [node.children, node.alternative] = [node.alternative, node.children];
+            }
+            continue;
+        }
+        if (expression == "else") {
+            let node = current();
+            if (node.type != "if" || node.alternative) {
+                throw new Error(`Unexpected {{else}} in template ${name}:${lineOf(match.index)}`);
+            }
+            // Collect the else branch in children, and keep the if branch.
+            node.alternative = node.children;
+            node.children = [];
+            continue;
+        }
+        current().children.push({ type: "value", path: expression, escape: true });
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${current().type} ${current().path}}} in template ${name}`);
+    }
+    if (last < source.length) {
+        root.children.push({ type: "text", text: source.slice(last) });
+    }
+    return root;
+}
+
+// Look up a dotted path in the given stack of contexts, innermost first.
+function lookup(contexts, keyPath) {
+    let [first, ...rest] = keyPath.split(".");
+    let value;
+    if (first == "this") {
+        value = contexts[0].value;
+    } else if (first == "@index") {
+        value = contexts[0].index;
+    } else {
+        let context = contexts.find(c => c.value !== null && typeof c.value === 'object' && first in c.value);
+        value = context ? context.value[first] : undefined;
+    }
+    for (let key of rest) {
+        value = value === null || value === undefined ? undefined : value[key];
+    }
+    return value;
+}
+
+function isTrue(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// Returns a renderer for the templates in the given directory, which caches the
+// parsed templates.
+function createRenderer(dir) {
+    let cache = new Map();
+
+    function load(file) {
+        if (!cache.has(file)) {
+            cache.set(file, parse(fs.readFileSync(file, 'utf8'), path.relative(dir, file)));
+        }
+        return cache.get(file);
+    }
+
+    function renderNodes(nodes, contexts) {
+        let output = "";
+        for (let node of nodes) {
+            switch (node.type) {
+                case "text":
+                    output += node.text;
+                    break;
+                case "value": {
+                    let value = lookup(contexts, node.path);
+                    if (value !== null && value !== undefined) {
+                        output += node.escape ? escapeHTML(value) : value;
+                    }
+                    break;
+                }
+                case "if":
+                    output += renderNodes(
+                        isTrue(lookup(contexts, node.path)) ? node.children : (node.alternative || []),
+                        contexts);
+                    break;
+                case "each": {
+                    let list = lookup(contexts, node.path) || [];
+                    list.forEach((value, index) => {
+                        output += renderNodes(node.children, [{ value, index }, ...contexts]);
+                    });
+                    break;
+                }
+                case "partial":
+                    output += renderNodes(load(path.join(dir, "partials", `${node.name}.html`)).children, contexts);
+                    break;
+            }
+        }
+        return output;
+    }
+
+    return {
+        // Render the given template file (relative to the template directory).
+        render(file, data) {
+            return renderNodes(load(path.join(dir, file)).children, [{ value: data, index: 0 }]);
+        },
+    };
+}
+
+module.exports = {
+    createRenderer,
+};
@@ -0,0 +1,65 @@
+/**
+ * Collects an inventory of the files of an extracted XPI: number of files,
+ * sizes, file types, bundled minified libraries, locales and obsolete file types.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Well known libraries, which are often bundled with add-ons. Bootstrap is not
+// included, as bootstrap.js is the entry point of bootstrapped legacy add-ons.
+// The file name has to be the name of the library, optionally followed by a
+// version and/or .min (e.g. jquery-3.6.0.min.js, d3.v7.js), so files of the
+// add-on like chart-utils.js are not matched.
+const LIBRARY_PATTERN = /(^|\/)(jquery|jquery-ui|lodash|underscore|moment|react|react-dom|vue|angular|d3|handlebars|dompurify|purify|ical|luxon)([.-]v?\d+(\.\d+)*)?(\.min)?\.js$/i;
+// Add-ons often name their own charting code chart.js, so Chart.js is only matched
+// by the names of its distribution files (e.g. chart.umd.js, Chart.bundle.min.js,
+// chart.min.js or chart-4.4.0.js).
+const CHART_PATTERN = /(^|\/)chart((\.umd|\.bundle)(\.min)?|[.-]v?\d+(\.\d+)*(\.min)?|\.min)\.js$/i;
+
+// Returns the paths of all files below dir, relative to dir.
+function listFiles(dir) {
+    let files = [];
+    for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        let file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(file).map(f => path.join(entry.name, f)));
+        } else if (entry.isFile()) {
+            files.push(entry.name);
+        }
+    }
+    return files;
+}
+
+function isMinifiedLibrary(file) {
+    return /\.min\.js$/i.test(file) || LIBRARY_PATTERN.test(file) || CHART_PATTERN.test(file);
+}
+
+// Returns the inventory of the XPI file and its extracted sources in srcDir.
+function getInventory(xpiFile, srcDir) {
+    let files = listFiles(srcDir).map(f => f.split(path.sep).join("/")).sort();
+    const count = pattern => files.filter(f => pattern.test(f)).length;
+
+    let localesDir = path.join(srcDir, "_locales");
+    let locales = fs.existsSync(localesDir)
+        ? fs.readdirSync(localesDir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name).sort()
+        : [];
+
+    return {
+        files: files.length,
+        size: files.reduce((sum, f) => sum + fs.statSync(path.join(srcDir, f)).size, 0),
+        compressed_size: fs.existsSync(xpiFile) ? fs.statSync(xpiFile).size : null,
+        js: count(/\.(js|mjs)$/i),
+        html: count(/\.x?html?$/i),
+        css: count(/\.css$/i),
+        minified_libraries: files.filter(isMinifiedLibrary),
+        locales,
+        jsm: count(/\.jsm$/i),
+        sys_mjs: count(/\.sys\.mjs$/i),
+        xul: count(/\.xul$/i),
+    };
+}
+
+module.exports = {
+    getInventory,
+};
@@ -0,0 +1,77 @@
+/**
+ * Tests of the validation and lookup of the curated compatibility data in
+ * lib/curated.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { loadCuratedData, validateCuratedData } = require('../lib/curated.js');
+
+const extensions = [{ id: 900001 }, { id: 900002 }];
+
+test("accepts valid data", () => {
+    let data = { version: 1, addons: [{ id: "900001", status: { "115": "compatible" } }] };
+    assert.deepEqual(validateCuratedData(data, extensions), { errors: [], warnings: [] });
+});
+
+test("rejects schema violations", () => {
+    let { errors } = validateCuratedData({ version: 1, addons: [{ id: "abc", status: { "115": "maybe" } }] }, extensions);
+    assert.ok(errors.some(e => e.startsWith("/addons/0/id ")), errors.join("\n"));
+    assert.ok(errors.some(e => e.startsWith("/addons/0/status/115 ")), errors.join("\n"));
+});
+
+test("rejects duplicates and reports conflicting status", () => {
+    let { errors } = validateCuratedData({
+        version: 1,
+        addons: [
+            { id: "900001", status: { "115": "compatible" } },
+            { id: "900001", status: { "115": "incompatible" } },
+            { id: "900002" },
+            { id: "900002" },
+        ],
+    }, extensions);
+    assert.deepEqual(errors, [
+        "/addons/1 (900001) is a duplicate with conflicting status (115: compatible vs. incompatible)",
+        "/addons/3 (900002) is a duplicate",
+    ]);
+});
+
+test("rejects unknown add-ons and ESR, unless allowUnknown is set", () => {
+    let data = { version: 1, addons: [{ id: "900001", status: { "17": "compatible" } }, { id: "123" }] };
+    let expected = [
+        "/addons/0 (900001) has a status for unknown ESR 17",
+        "/addons/1 (123) is an unknown add-on",
+    ];
+    assert.deepEqual(validateCuratedData(data, extensions), { errors: expected, warnings: [] });
+    assert.deepEqual(validateCuratedData(data, extensions, true), { errors: [], warnings: expected });
+    // Unknown add-ons can only be detected with the list of all add-ons.
+    assert.deepEqual(validateCuratedData(data, null).errors, [expected[0]]);
+});
+
+test("loadCuratedData() returns a lookup object and throws on invalid data", () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "atn-curated-"));
+    try {
+        let file = path.join(dir, "curated.json");
+        fs.writeJSONSync(file, {
+            version: 1,
+            addons: [{ id: "900002", status: { "115": "wip" }, waiting_for_feedback: true, discontinued: true }],
+        });
+        let curated = loadCuratedData(file, extensions);
+        assert.equal(curated.getStatus(900002, 115), "wip");
+        assert.equal(curated.getStatus(900002, 128), null);
+        assert.equal(curated.getStatus(900001, 115), null);
+        assert.equal(curated.isDiscontinued(900002), true);
+        assert.equal(curated.isWaitingForFeedback(900002), true);
+        assert.equal(curated.isDiscontinued(900001), false);
+        assert.equal(curated.get(900001), null);
+
+        fs.writeJSONSync(file, { version: 1, addons: [{ id: "123" }] });
+        assert.throws(() => loadCuratedData(file, extensions), /Invalid curated data in .*curated\.json:\n {2}\/addons\/0 \(123\) is an unknown add-on/);
+    } finally {
+        fs.removeSync(dir);
+    }
+});
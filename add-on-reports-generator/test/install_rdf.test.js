@@ -0,0 +1,64 @@
+/**
+ * Tests of the install.rdf reader in lib/install_rdf.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+
+const { parseInstallRDF, getThunderbirdTarget } = require('../lib/install_rdf.js');
+
+const THUNDERBIRD_ID = "{3550f703-e582-4d05-9a08-453d09bdfdc6}";
+
+test("reads the element form with a nested target application", () => {
+    let rdf = parseInstallRDF(`<?xml version="1.0"?>
+        <!-- comment -->
+        <RDF xmlns="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:em="http://www.mozilla.org/2004/em-rdf#">
+          <Description about="urn:mozilla:install-manifest">
+            <em:id>element@example</em:id>
+            <em:version>1.2</em:version>
+            <em:name><![CDATA[Element & Co]]></em:name>
+            <em:bootstrap>true</em:bootstrap>
+            <em:targetApplication>
+              <Description>
+                <em:id>${THUNDERBIRD_ID}</em:id>
+                <em:minVersion>60.0</em:minVersion>
+                <em:maxVersion>68.*</em:maxVersion>
+              </Description>
+            </em:targetApplication>
+          </Description>
+        </RDF>`);
+    assert.deepEqual(rdf, {
+        id: "element@example",
+        version: "1.2",
+        name: "Element & Co",
+        type: 2,
+        bootstrap: true,
+        targetApplications: [{ id: THUNDERBIRD_ID, name: "Thunderbird", minVersion: "60.0", maxVersion: "68.*" }],
+    });
+});
+
+test("reads the attribute form with custom prefixes and referenced target applications", () => {
+    let rdf = parseInstallRDF(`<RDF:RDF xmlns:RDF="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:NS1="http://www.mozilla.org/2004/em-rdf#">
+          <RDF:Description RDF:about="rdf:#$tb" NS1:id="${THUNDERBIRD_ID}" NS1:minVersion="52.0" NS1:maxVersion="60.*"/>
+          <RDF:Description RDF:about="urn:mozilla:install-manifest" NS1:id="attribute@example" NS1:version="0.9" NS1:type="4">
+            <NS1:targetApplication RDF:resource="rdf:#$tb"/>
+            <NS1:targetApplication RDF:resource="#unknown"/>
+          </RDF:Description>
+        </RDF:RDF>`);
+    assert.equal(rdf.id, "attribute@example");
+    assert.equal(rdf.version, "0.9");
+    assert.equal(rdf.type, 4);
+    assert.equal(rdf.bootstrap, false);
+    assert.deepEqual(getThunderbirdTarget(rdf), { id: THUNDERBIRD_ID, name: "Thunderbird", minVersion: "52.0", maxVersion: "60.*" });
+});
+
+test("returns null without an install manifest or Thunderbird target", () => {
+    assert.equal(parseInstallRDF(`<foo/>`), null);
+    assert.equal(parseInstallRDF(`<RDF xmlns="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/>`), null);
+    assert.equal(getThunderbirdTarget(null), null);
+    assert.equal(getThunderbirdTarget({ targetApplications: [{ id: "toolkit@mozilla.org" }] }), null);
+});
+
+test("throws on malformed XML", () => {
+    assert.throws(() => parseInstallRDF(`<RDF><Description></RDF>`));
+});
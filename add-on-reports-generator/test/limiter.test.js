@@ -0,0 +1,63 @@
+/**
+ * Tests of the request limiter and the worker pool in lib/limiter.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+
+const { createLimiter, mapPool } = require('../lib/limiter.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("schedule() never runs more than maxInFlight tasks", async () => {
+    let limiter = createLimiter({ maxInFlight: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    let task = async value => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(10);
+        running--;
+        return value;
+    };
+
+    let results = await Promise.all([1, 2, 3, 4, 5].map(value => limiter.schedule(() => task(value))));
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal(maxRunning, 2);
+    assert.equal(limiter.inFlight, 0);
+    assert.equal(limiter.pending, 0);
+});
+
+test("schedule() spaces the start of the tasks according to maxPerSecond", async () => {
+    let limiter = createLimiter({ maxPerSecond: 20 });
+    let starts = [];
+    await Promise.all([1, 2, 3].map(() => limiter.schedule(() => starts.push(Date.now()))));
+    // 50ms between the starts, allow some inaccuracy of the timers.
+    assert.ok(starts[2] - starts[0] >= 90, `Tasks started within ${starts[2] - starts[0]}ms`);
+});
+
+test("schedule() rejects with the error of the task and continues", async () => {
+    let limiter = createLimiter({ maxInFlight: 1 });
+    let failing = limiter.schedule(() => { throw new Error("failed"); });
+    let next = limiter.schedule(() => "next");
+    await assert.rejects(failing, /failed/);
+    assert.equal(await next, "next");
+});
+
+test("mapPool() limits the concurrency and keeps the order of the items", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    let results = await mapPool([30, 10, 20, 0], 2, async (ms, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(ms);
+        running--;
+        return `${index}:${ms}`;
+    });
+    assert.deepEqual(results, ["0:30", "1:10", "2:20", "3:0"]);
+    assert.equal(maxRunning, 2);
+});
+
+test("mapPool() handles empty lists", async () => {
+    assert.deepEqual(await mapPool([], 4, async () => 1), []);
+});
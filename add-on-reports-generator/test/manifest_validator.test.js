@@ -0,0 +1,73 @@
+/**
+ * Tests of the manifest validation in lib/manifest_validator.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+
+const { PROBLEM_CLASSES, validateManifest } = require('../lib/manifest_validator.js');
+
+const base = {
+    manifest_version: 2,
+    name: "Sample",
+    version: "1.0",
+    browser_specific_settings: { gecko: { id: "sample@example", strict_max_version: "128.*" } },
+};
+
+test("accepts valid MV2 and MV3 manifests", () => {
+    assert.deepEqual(validateManifest({
+        ...base,
+        permissions: ["messagesRead", "messagesModifyPermanent", "<all_urls>"],
+        optional_permissions: ["compose.send", "*://*.example.com/*"],
+    }), []);
+    assert.deepEqual(validateManifest({
+        ...base,
+        manifest_version: 3,
+        action: { default_title: "Sample" },
+        permissions: ["storage"],
+        host_permissions: ["https://example.com/*"],
+        optional_host_permissions: ["<all_urls>"],
+    }), []);
+});
+
+test("reports invalid permissions of all permission keys", () => {
+    let problems = validateManifest({
+        ...base,
+        permissions: ["bogus"],
+        optional_permissions: ["optionalBogus"],
+        host_permissions: ["hostBogus"],
+        optional_host_permissions: ["optionalHostBogus"],
+    });
+    assert.deepEqual(
+        problems.map(p => p.message).sort(),
+        ["bogus", "hostBogus", "optionalBogus", "optionalHostBogus"].map(p => `Invalid permission: ${p}`)
+    );
+    assert.ok(problems.every(p => p.problem == "invalid_permission"));
+});
+
+test("reports unknown keys, malformed versions and invalid values", () => {
+    let problems = validateManifest({
+        ...base,
+        manifest_version: 4,
+        unknown: true,
+        browser_specific_settings: { gecko: { id: "sample@example", strict_max_version: "128.x" } },
+    });
+    assert.deepEqual(problems.map(p => p.problem).sort(), ["invalid_value", "malformed_strict_max_version", "unknown_key"]);
+    assert.ok(problems.find(p => p.problem == "unknown_key").message.includes("unknown"));
+});
+
+test("reports a missing gecko id and the deprecated applications key", () => {
+    assert.deepEqual(validateManifest({ ...base, browser_specific_settings: undefined }).map(p => p.problem), ["missing_gecko_id"]);
+    assert.deepEqual(
+        validateManifest({ ...base, browser_specific_settings: undefined, applications: { gecko: { id: "sample@example" } } }).map(p => p.problem),
+        ["deprecated_applications"]
+    );
+});
+
+test("all reported problems have a label", () => {
+    let problems = validateManifest({ manifest_version: "2", unknown: 1, permissions: ["bogus"], applications: {} });
+    assert.ok(problems.length > 0);
+    for (let { problem } of problems) {
+        assert.ok(PROBLEM_CLASSES[problem], `No label for ${problem}`);
+    }
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests of the permission analysis in lib/permissions.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+
+const { analyzePermissions, comparePermissions, getHostScope, isHostPermission } = require('../lib/permissions.js');
+
+test("classifies host permissions and their scope", () => {
+    assert.equal(isHostPermission("<all_urls>"), true);
+    assert.equal(isHostPermission("*://*.example.com/*"), true);
+    assert.equal(isHostPermission("messagesRead"), false);
+    assert.equal(getHostScope("<all_urls>"), "all");
+    assert.equal(getHostScope("*://*/*"), "all");
+    assert.equal(getHostScope("https://*.example.com/*"), "wildcard");
+    assert.equal(getHostScope("https://example.com/*"), "specific");
+});
+
+test("splits the permissions and calculates the risk score", () => {
+    let analysis = analyzePermissions({
+        permissions: ["messagesRead", "storage", "https://example.com/*"],
+        optional_permissions: ["compose.send", "<all_urls>"],
+        content_scripts: [{ matches: ["https://example.com/*"] }, { matches: ["https://example.com/*"] }],
+        web_accessible_resources: ["icon.png"],
+    });
+    assert.deepEqual(analysis, {
+        api: ["messagesRead", "storage"],
+        host: ["https://example.com/*"],
+        optional_api: ["compose.send"],
+        optional_host: ["<all_urls>"],
+        content_scripts: ["https://example.com/*"],
+        web_accessible_resources: 1,
+        experiment: false,
+        // messagesRead 4 + storage 0 + specific host 2 + (compose.send 5 + all hosts 8) / 2
+        // + content scripts 2 + web accessible resources 1
+        score: 15.5,
+        level: "high",
+    });
+    assert.equal(analyzePermissions(null), null);
+});
+
+test("includes the separate host permissions of Manifest V3", () => {
+    let analysis = analyzePermissions({
+        manifest_version: 3,
+        permissions: ["storage"],
+        host_permissions: ["https://*.example.com/*"],
+        optional_host_permissions: ["<all_urls>"],
+    });
+    assert.deepEqual(analysis.host, ["https://*.example.com/*"]);
+    assert.deepEqual(analysis.optional_host, ["<all_urls>"]);
+    assert.equal(analysis.score, 4 + 8 / 2);
+});
+
+test("Experiments are always critical", () => {
+    assert.equal(analyzePermissions({ experiment_apis: { Sample: {} } }).level, "critical");
+    assert.equal(analyzePermissions({}).level, "low");
+});
+
+test("compares the permissions of two versions", () => {
+    let before = { permissions: ["messagesRead", "https://example.com/*"] };
+    let after = {
+        manifest_version: 3,
+        permissions: ["messagesRead", "messagesModify"],
+        optional_host_permissions: ["<all_urls>"],
+        content_scripts: [{ matches: ["https://other.example.com/*"] }],
+        experiment_apis: { Sample: {} },
+    };
+    let changes = comparePermissions(before, after);
+    assert.deepEqual(changes.added_permissions, ["messagesModify"]);
+    assert.deepEqual(changes.removed_permissions, []);
+    assert.deepEqual(changes.added_optional_permissions, ["<all_urls>"]);
+    assert.deepEqual(changes.added_hosts, ["https://other.example.com/*"]);
+    assert.deepEqual(changes.removed_hosts, ["https://example.com/*"]);
+    assert.deepEqual(changes.added_experiment_apis, ["Sample"]);
+    assert.equal(changes.escalated, true);
+    assert.equal(comparePermissions(before, null), null);
+});
+
+test("added optional permissions do not escalate", () => {
+    let changes = comparePermissions({ permissions: ["storage"] }, { permissions: ["storage"], optional_permissions: ["tabs"] });
+    assert.deepEqual(changes.added_optional_permissions, ["tabs"]);
+    assert.equal(changes.escalated, false);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests of the template engine in lib/template.js.
+ */
+
+const assert = require('assert/strict');
+const { test } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { createRenderer } = require('../lib/template.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "atn-template-"));
+process.on("exit", () => fs.removeSync(tmpDir));
+
+// Write the given templates (name -> source) into a temporary directory and
+// return a renderer for it.
+function rendererFor(templates) {
+    let dir = fs.mkdtempSync(path.join(tmpDir, "t-"));
+    for (let [name, source] of Object.entries(templates)) {
+        fs.outputFileSync(path.join(dir, name), source);
+    }
+    return createRenderer(dir);
+}
+
+test("values are escaped, unless triple braces are used", () => {
+    let renderer = rendererFor({ "page.html": "{{title}}|{{{html}}}|{{row.id}}|{{missing}}" });
+    assert.equal(
+        renderer.render("page.html", { title: `<a href="x">'&'</a>`, html: "<b>ok</b>", row: { id: 5 } }),
+        "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;|<b>ok</b>|5|"
+    );
+});
+
+test("loops provide this, @index and the outer context", () => {
+    let renderer = rendererFor({ "page.html": "{{#each list}}{{@index}}:{{this.name}}@{{base}} {{/each}}" });
+    assert.equal(
+        renderer.render("page.html", { base: "b", list: [{ name: "x" }, { name: "y" }] }),
+        "0:x@b 1:y@b "
+    );
+});
+
+test("conditions treat empty lists as false and support else", () => {
+    let renderer = rendererFor({ "page.html": "{{#if list}}some{{else}}none{{/if}}" });
+    assert.equal(renderer.render("page.html", { list: [] }), "none");
+    assert.equal(renderer.render("page.html", { list: [1] }), "some");
+});
+
+test("block tags on a line of their own do not leave empty lines", () => {
+    let renderer = rendererFor({ "page.html": "<ul>\n  {{#each list}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n" });
+    assert.equal(renderer.render("page.html", { list: [1, 2] }), "<ul>\n  <li>1</li>\n  <li>2</li>\n</ul>\n");
+});
+
+test("partials are loaded from the partials folder", () => {
+    let renderer = rendererFor({
+        "page.html": "[{{> footer}}]",
+        "partials/footer.html": "{{date}}",
+    });
+    assert.equal(renderer.render("page.html", { date: "2023-06-01" }), "[2023-06-01]");
+});
+
+test("invalid templates are rejected with the template name and line", () => {
+    let renderer = rendererFor({
+        "unclosed.html": "{{#if a}}",
+        "unexpected.html": "\n{{/each}}",
+        "invalid.html": "{{#with a}}{{/with}}",
+    });
+    assert.throws(() => renderer.render("unclosed.html", {}), /Unclosed \{\{#if a\}\} in template unclosed\.html/);
+    assert.throws(() => renderer.render("unexpected.html", {}), /Unexpected \{\{\/each\}\} in template unexpected\.html:2/);
+    assert.throws(() => renderer.render("invalid.html", {}), /Invalid block/);
+});
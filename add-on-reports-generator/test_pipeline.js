@@ -0,0 +1,143 @@
+/**
+ * Runs the entire pipeline against the offline fixture server: starts the
+ * server, runs get_addon_data.js with --atn-url and then build_reports.js, in a
+ * temporary working directory, and checks the collected data and a generated
+ * report. Afterwards collects the data again, which has to re-use the unchanged
+ * add-ons, and for different ESR subsets and for the first search page only,
+ * which must not lose any data. Exits with 1, if a step or a check fails.
+ *
+ * Usage:
+ *   npm run test:pipeline
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./atn_fixture_server.js');
+
+// The versions compatible with each ESR, as served by the fixture server.
+const EXPECTED_CMP_DATA = {
+    "900001": { "78": "1.0", "91": "1.0", "102": "2.0", "115": "2.0", "128": "2.0", "current": "2.0" },
+    "900002": { "68": "2.0", "78": "2.0", "91": "2.0", "102": "3.1", "115": "3.1", "current": "3.1" },
+    "900003": { "60": "1.5", "current": "1.5" },
+    "900004": { "91": "1.0", "102": "1.0", "115": "1.0", "128": "1.0", "current": "1.0" },
+};
+
+// Run a script of this folder in the given working directory, and resolve with
+// its exit code and its output (which is passed through as well).
+function runScript(script, args, cwd) {
+    console.log(`> node ${script} ${args.join(" ")}`);
+    return new Promise((resolve, reject) => {
+        let child = spawn(process.execPath, [path.join(__dirname, script), ...args], { cwd, stdio: ["ignore", "pipe", "inherit"] });
+        let output = "";
+        child.stdout.on("data", chunk => {
+            output += chunk;
+            process.stdout.write(chunk);
+        });
+        child.on("error", reject);
+        child.on("close", code => resolve({ code, output }));
+    });
+}
+
+// Fail the pipeline with the given message, if the condition is not met.
+function check(condition, msg) {
+    if (!condition) {
+        throw new Error(msg);
+    }
+}
+
+async function main() {
+    let workDir = fs.mkdtempSync(path.join(os.tmpdir(), "atn-pipeline-"));
+    let server = await startServer({ port: 0 });
+    let baseURL = `http://127.0.0.1:${server.address().port}`;
+    let reportDir = path.join(workDir, "reports");
+    let xallFile = path.join(workDir, "data", "xall.json");
+    let failed = null;
+
+    const collect = async (...args) => {
+        let { code, output } = await runScript("get_addon_data.js", ["--atn-url", `${baseURL}/api/v4`, ...args], workDir);
+        check(code == 0, `get_addon_data.js exited with ${code}`);
+        return { extensions: fs.readJsonSync(xallFile), output };
+    };
+
+    try {
+        let { extensions } = await collect();
+        check(
+            JSON.stringify(extensions.map(e => e.id).sort()) == JSON.stringify(Object.keys(EXPECTED_CMP_DATA).map(Number)),
+            "The master JSON file does not include all add-ons of the fixture server"
+        );
+        for (let extension of extensions) {
+            check(
+                JSON.stringify(extension.xpilib.cmp_data) == JSON.stringify(EXPECTED_CMP_DATA[extension.id]),
+                `Unexpected cmp_data of ${extension.slug}: ${JSON.stringify(extension.xpilib.cmp_data)}`
+            );
+        }
+
+        let { code } = await runScript("build_reports.js", [
+            "--alternatives", `${baseURL}/extension-finder/data.yaml`,
+            "--curated", path.join(__dirname, "fixtures", "curated-addons.json"),
+            "--output", reportDir,
+        ], workDir);
+        check(code == 0, `build_reports.js exited with ${code}`);
+        check(fs.existsSync(path.join(reportDir, "index.html")), "build_reports.js did not write index.html");
+
+        // The legacy add-on is not compatible with TB115, the curated status of
+        // the WindowListener add-on adds a badge.
+        let report = fs.readJsonSync(path.join(reportDir, "atn-tb115.json"));
+        check(
+            JSON.stringify(report.rows.map(r => r.id)) == "[900001,900002,900004]",
+            `Unexpected rows of atn-tb115: ${report.rows.map(r => r.id).join(", ")}`
+        );
+        let row = report.rows.find(r => r.id == 900002);
+        check(
+            JSON.stringify(row.badges) == '["experiment","wip_115"]',
+            `Unexpected badges of window-listener-sample in atn-tb115: ${row.badges.join(", ")}`
+        );
+        let html = fs.readFileSync(path.join(reportDir, "atn-tb115.html"), "utf8");
+        check(html.includes('<tr data-badges="experiment|wip_115">'), "atn-tb115.html does not include the badges of window-listener-sample");
+        check(html.includes('href="addon/900002-window-listener-sample.html"'), "atn-tb115.html does not link the detail page of window-listener-sample");
+        check(html.includes("WindowListener Sample &amp; &lt;Friends&gt;"), "atn-tb115.html does not include the escaped name of window-listener-sample");
+        check(!html.includes("legacy-sample"), "atn-tb115.html includes legacy-sample");
+
+        // Nothing changed on the fixture server, so all add-ons are re-used.
+        let { output } = await collect();
+        check(
+            output.includes(`Re-used data of ${extensions.length} unchanged add-ons`),
+            "The second run did not re-use the data of the unchanged add-ons"
+        );
+
+        // Collecting a single ESR must keep the data of the other ESR, also if
+        // another ESR is collected afterwards.
+        await collect("--full", "--esr", "115");
+        let { extensions: merged } = await collect("--full", "--esr", "128");
+        for (let extension of extensions) {
+            let entry = merged.find(e => e.id == extension.id);
+            check(entry, `${extension.slug} is missing after the ESR subset runs`);
+            check(
+                JSON.stringify(entry.xpilib.cmp_data) == JSON.stringify(extension.xpilib.cmp_data),
+                `cmp_data of ${extension.slug} changed after the ESR subset runs`
+            );
+        }
+
+        // Collecting only the first search page must keep the other add-ons.
+        let { extensions: truncated } = await collect("--max-pages", "1");
+        check(
+            JSON.stringify(truncated.map(e => e.id).sort()) == JSON.stringify(extensions.map(e => e.id).sort()),
+            "Add-ons are missing after the run with --max-pages"
+        );
+    } catch (err) {
+        failed = err.message;
+    } finally {
+        server.close();
+        if (failed) {
+            console.error(`Pipeline failed: ${failed} (see ${workDir})`);
+            process.exitCode = 1;
+        } else {
+            fs.removeSync(workDir);
+            console.log("Pipeline passed.");
+        }
+    }
+}
+
+main();
@@ -0,0 +1,182 @@
+/**
+ * Sorting, search and badge filters for the tables of the generated reports.
+ *
+ * The state is stored in the URL hash (#sort=3&dir=desc&q=text&badges=a|b), so
+ * filtered views can be shared. Plain anchors (#id-slug) are left alone.
+ */
+
+(function () {
+    // Same semantics as compareVer() in build_reports.js.
+    function compareVer(a, b) {
+        function prep(t) {
+            return ("" + t)
+                .replace(/[^0-9\.]+/g, function (c) { return "." + ((c = c.replace(/[\W_]+/, "")) ? c.toLowerCase().charCodeAt(0) - 65536 : "") + "." })
+                .replace(/(?:\.0+)*(\.-[0-9]+)(\.[0-9]+)?\.*$/g, "$1$2")
+                .split('.');
+        }
+
+        if (a != "*" && b == "*") return -1;
+        if (a == "*" && b != "*") return 1;
+        if (a == "*" && b == "*") return 0;
+
+        a = prep(a);
+        b = prep(b);
+        for (var i = 0; i < Math.max(a.length, b.length); i++) {
+            a[i] = ~~a[i];
+            b[i] = ~~b[i];
+            if (a[i] > b[i])
+                return 1;
+            else if (a[i] < b[i])
+                return -1;
+        }
+        return 0;
+    }
+
+    // Empty cells are sorted before all other values.
+    const comparators = {
+        number: (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0),
+        version: (a, b) => a && b ? compareVer(a, b) : (a ? 1 : 0) - (b ? 1 : 0),
+        text: (a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }),
+    };
+
+    let state = { sort: null, dir: "asc", q: "", badges: [] };
+
+    function readHash() {
+        let hash = location.hash.slice(1);
+        if (!hash.includes("=")) {
+            // No view in the hash (e.g. the plain report URL or an anchor).
+            state = { sort: null, dir: "asc", q: "", badges: [] };
+            return;
+        }
+        let params = new URLSearchParams(hash);
+        let sort = parseInt(params.get("sort"), 10);
+        state.sort = Number.isNaN(sort) ? null : sort;
+        state.dir = params.get("dir") == "desc" ? "desc" : "asc";
+        state.q = params.get("q") || "";
+        state.badges = (params.get("badges") || "").split("|").filter(Boolean);
+    }
+
+    function writeHash() {
+        let params = new URLSearchParams();
+        if (state.sort !== null) {
+            params.set("sort", state.sort);
+            params.set("dir", state.dir);
+        }
+        if (state.q) {
+            params.set("q", state.q);
+        }
+        if (state.badges.length > 0) {
+            params.set("badges", state.badges.join("|"));
+        }
+        let hash = params.toString();
+        if (!hash && !location.hash.includes("=")) {
+            // Keep plain anchors.
+            return;
+        }
+        history.replaceState(null, "", hash ? `#${hash}` : location.pathname + location.search);
+    }
+
+    function getBadges(row) {
+        return (row.dataset.badges || "").split("|").filter(Boolean);
+    }
+
+    // The value of a cell is its data-sort-value attribute (the raw value of
+    // formatted cells like sizes), or its first line, the version cells list
+    // badges below the version.
+    function getCellValue(row, column) {
+        let cell = row.cells[column];
+        if (!cell) {
+            return "";
+        }
+        if (cell.dataset.sortValue !== undefined) {
+            return cell.dataset.sortValue;
+        }
+        return (cell.innerText || cell.textContent).trim().split("\n")[0].trim();
+    }
+
+    function init() {
+        let table = document.querySelector("table.datatable");
+        if (!table) {
+            return;
+        }
+        let headers = [...table.tHead.rows[0].cells];
+        let tbody = table.tBodies[0];
+        let rows = [...tbody.rows];
+        let search = document.getElementById("table-search");
+        let count = document.getElementById("table-count");
+        let filters = document.getElementById("table-filters");
+
+        // Build the filter chips from the Statistics section.
+        let chips = [...document.querySelectorAll(".statstable tr[data-badge]")].map(statsRow => {
+            let chip = document.createElement("button");
+            chip.type = "button";
+            chip.className = "filter-chip";
+            chip.dataset.badge = statsRow.dataset.badge;
+            chip.textContent = `${statsRow.dataset.badge} (${statsRow.cells[0].textContent.trim()})`;
+            chip.addEventListener("click", () => {
+                let badge = chip.dataset.badge;
+                state.badges = state.badges.includes(badge)
+                    ? state.badges.filter(b => b != badge)
+                    : [...state.badges, badge];
+                update();
+            });
+            filters.appendChild(chip);
+            return chip;
+        });
+
+        headers.forEach((header, column) => {
+            header.classList.add("sortable");
+            header.addEventListener("click", () => {
+                state.dir = state.sort == column && state.dir == "asc" ? "desc" : "asc";
+                state.sort = column;
+                update();
+            });
+        });
+
+        search.addEventListener("input", () => {
+            state.q = search.value;
+            update();
+        });
+
+        function update() {
+            // Sort a copy, so the original order is restored if sorting is reset.
+            let sorted = rows.slice();
+            if (state.sort !== null && headers[state.sort]) {
+                let compare = comparators[headers[state.sort].dataset.sort] || comparators.text;
+                let factor = state.dir == "desc" ? -1 : 1;
+                sorted.sort((a, b) => factor * compare(getCellValue(a, state.sort), getCellValue(b, state.sort)));
+            }
+
+            let terms = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+            let visible = 0;
+            for (let row of sorted) {
+                let text = `${row.textContent} ${getBadges(row).join(" ")}`.toLowerCase();
+                let show = terms.every(term => text.includes(term)) &&
+                    state.badges.every(badge => getBadges(row).includes(badge));
+                row.style.display = show ? "" : "none";
+                visible += show ? 1 : 0;
+                tbody.appendChild(row);
+            }
+
+            headers.forEach((header, column) => {
+                header.classList.toggle("sorted-asc", state.sort == column && state.dir == "asc");
+                header.classList.toggle("sorted-desc", state.sort == column && state.dir == "desc");
+            });
+            for (let chip of chips) {
+                chip.classList.toggle("active", state.badges.includes(chip.dataset.badge));
+            }
+            search.value = state.q;
+            count.textContent = `${visible} of ${rows.length} add-ons`;
+            writeHash();
+        }
+
+        window.addEventListener("hashchange", () => {
+            readHash();
+            update();
+        });
+        readHash();
+        update();
+    }
+
+    document.addEventListener("DOMContentLoaded", init);
+})();